@@ -1,11 +1,434 @@
-// Background script to handle events
-chrome.action.onClicked.addListener((tab) => {
-    // This will only execute if no popup is defined
-    // Since we have a popup, this is just a fallback
-  });
-  
-  // Listen for messages from content script or popup
-  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    // Can be used for additional background processing if needed
-    return true;
-  });
\ No newline at end of file
+/*******************************************************
+ * BACKGROUND.JS
+ *
+ * Service worker of the extension. It owns summarization
+ * jobs: the popup, the side panel, the context menu and
+ * the keyboard shortcuts all submit jobs here, using the
+ * message schema of protocol.js, so a job keeps running
+ * and its result is kept when the popup closes. Context
+ * menu and shortcut jobs show their result in a card on
+ * the page (see the SUMMARY CARD section of content.js).
+ * Linked pages are fetched here and parsed in an offscreen
+ * document (offscreen.js), without opening a tab. The
+ * summarizer scripts are shared with the popup.
+ *******************************************************/
+
+importScripts('segmenter.js', 'stopwords.js', 'summarizer.js', 'providers.js', 'protocol.js', 'injection.js');
+
+const { TYPES } = MessageProtocol;
+
+const MENU_IDS = {
+  selection: 'qwikread-summarize-selection',
+  page: 'qwikread-summarize-page',
+  link: 'qwikread-summarize-link'
+};
+
+const OFFSCREEN_DOCUMENT = 'src/offscreen.html';
+
+// Time allowed for fetching a linked page
+const FETCH_TIMEOUT_MS = 15000;
+
+// Time allowed for the content script to extract the page
+const EXTRACT_TIMEOUT_MS = 15000;
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: MENU_IDS.selection,
+      title: 'Summarize selection with QwikRead',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: MENU_IDS.page,
+      title: 'Summarize this page',
+      contexts: ['page']
+    });
+    chrome.contextMenus.create({
+      id: MENU_IDS.link,
+      title: 'Summarize link with QwikRead',
+      contexts: ['link']
+    });
+  });
+});
+
+// Pending createDocument() call, so concurrent requests share one document
+let creatingOffscreen = null;
+
+/**
+ * Creates the offscreen document used for parsing HTML, unless it
+ * already exists.
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length) return;
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['DOM_PARSER', 'CLIPBOARD'],
+      justification: 'Parse linked pages with Readability to summarize them, and copy summaries from keyboard shortcuts'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Fetches a page and extracts its article in the offscreen document.
+ * Resolves to the extractContent response shape of content.js. An
+ * aborted `signal` cancels the download.
+ */
+async function fetchArticle(url, signal) {
+  if (!/^https?:/i.test(url)) throw new Error('Only http and https links can be summarized');
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+  let html;
+  let pageUrl = url;
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`The page responded with ${response.status} ${response.statusText}`);
+    const type = response.headers.get('Content-Type') || '';
+    if (type && !/html|xml/i.test(type)) throw new Error('The link is not a web page: ' + type);
+    html = await response.text();
+    // Resolve relative links against the final URL after redirects
+    pageUrl = response.url || url;
+  } catch (err) {
+    if (signal && signal.aborted) throw new Error('Summary cancelled');
+    if (err.name === 'AbortError') throw new Error('The page did not load within ' + FETCH_TIMEOUT_MS + ' ms');
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  await ensureOffscreenDocument();
+  const article = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'parseArticle',
+    html,
+    url: pageUrl
+  });
+  if (!article || article.error) throw new Error((article && article.error) || 'The page could not be parsed');
+  return article;
+}
+
+/**
+ * Reads the summarizer choice and LLM settings saved by the popup.
+ */
+async function getStoredSettings() {
+  const stored = await chrome.storage.local.get(['provider', 'llmSettings']);
+  return { provider: stored.provider || 'extractive', llm: stored.llmSettings || {} };
+}
+
+/*******************************************************
+ * JOBS
+ *
+ * A job extracts one input (the page, a selection or a
+ * linked page), summarizes it and reports its stages to
+ * every open extension page. Running jobs live in memory;
+ * the latest finished page job of each tab is kept in
+ * session storage, where the popup finds it when reopened.
+ *******************************************************/
+
+// Running jobs by id
+const jobs = new Map();
+
+/**
+ * Sends a protocol message to every open extension page. Having no
+ * page open to receive it is normal.
+ */
+function broadcast(type, payload) {
+  chrome.runtime.sendMessage(MessageProtocol.create(type, payload)).catch(() => {});
+}
+
+/**
+ * The serializable part of a job, as kept and sent in replies.
+ */
+function snapshot(job) {
+  const { jobId, tabId, kind, source, state, stage, url, page, result, error, startedAt, finishedAt } = job;
+  return { jobId, tabId, kind, source, state, stage, url, page, result, error, startedAt, finishedAt };
+}
+
+/**
+ * Records a job's stage and reports it.
+ */
+function setStage(job, stage, detail = {}) {
+  job.stage = stage;
+  broadcast(TYPES.JOB_PROGRESS, { jobId: job.jobId, tabId: job.tabId, stage, ...detail });
+}
+
+/**
+ * Throws once a job has been cancelled.
+ */
+function throwIfCancelled(job) {
+  if (job.controller.signal.aborted) throw new Error('Summary cancelled');
+}
+
+/**
+ * Gets the content a job summarizes, in the shape of the
+ * extractContent response of content.js.
+ */
+async function extractInput(job) {
+  if (job.kind === 'selection') {
+    if (!job.selectionText || !job.selectionText.trim()) throw new Error('Select some text to summarize first');
+    return { title: 'Summary of selection', content: job.selectionText };
+  }
+  if (job.kind === 'link') {
+    if (!(await ContentInjection.hasSiteAccess(job.url))) {
+      throw new Error(`QwikRead needs access to ${new URL(job.url).host} to summarize this link. Allow it and try again.`);
+    }
+    const article = await fetchArticle(job.url, job.controller.signal);
+    if (!article.content) throw new Error('No content could be extracted');
+    return { ...article, title: article.title || job.url };
+  }
+
+  const tab = await chrome.tabs.get(job.tabId);
+  job.url = tab.url;
+  if (!tab.url || !tab.url.startsWith('http')) {
+    throw new Error('Cannot summarize this page. Extension only works on web pages.');
+  }
+  const response = await ContentInjection.sendMessage(job.tabId, { action: 'extractContent' }, {
+    timeout: EXTRACT_TIMEOUT_MS
+  });
+  if (!response) {
+    throw new Error('Failed to get response from page. Please refresh and try again.');
+  }
+  if (!response.content || response.content.length < 50) {
+    throw new Error('Could not extract meaningful content from this page. The page might be empty or still loading.');
+  }
+  return { ...response, title: response.title || tab.title };
+}
+
+/**
+ * Shows a job's state in the page's summary card.
+ */
+function updateCard(job, card) {
+  if (job.display !== 'card') return Promise.resolve();
+  return ContentInjection.sendMessage(job.tabId, { action: 'showSummaryCard', card }).catch(err => {
+    console.log('Summary card failed:', err.message);
+  });
+}
+
+/**
+ * Keeps a finished page job as its tab's latest, for job/status. A
+ * cancelled job leaves the previous one in place.
+ */
+async function keepJob(job) {
+  if (job.kind !== 'page' || job.state === 'cancelled') return;
+  const key = 'job:' + job.tabId;
+  await chrome.storage.session.set({ [key]: snapshot(job) });
+}
+
+/**
+ * Runs a job to completion, reporting its result or error.
+ */
+async function runJob(job) {
+  const cardTitle = job.kind === 'selection' ? 'Summary of selection' : job.title;
+  try {
+    await updateCard(job, { title: cardTitle, loading: true });
+    setStage(job, 'extracting');
+    const input = await extractInput(job);
+    throwIfCancelled(job);
+    job.page = {
+      title: input.title,
+      byline: input.byline,
+      siteName: input.siteName,
+      url: job.url,
+      diagnostics: input.diagnostics
+    };
+
+    setStage(job, 'summarizing');
+    const stored = await getStoredSettings();
+    const options = job.options || {};
+    const result = await SummaryProviders.summarize(job.provider || stored.provider, input, {
+      ...options,
+      llm: { ...stored.llm, ...options.llm },
+      signal: job.controller.signal,
+      onProgress: progress => setStage(job, 'summarizing', progress)
+    });
+    throwIfCancelled(job);
+
+    job.result = result;
+    job.state = 'done';
+    job.stage = 'done';
+    broadcast(TYPES.JOB_RESULT, { jobId: job.jobId, tabId: job.tabId, page: job.page, result });
+    await chrome.storage.session.set({ lastSummary: result.text });
+
+    const percent = Math.round(result.compression * 100);
+    let meta = `${result.summaryWords} words, ${percent}% of ${result.originalWords}`;
+    if (result.fallback) meta += ' (LLM unavailable, extractive summary)';
+    await updateCard(job, { title: input.title, text: result.text, meta });
+  } catch (err) {
+    const cancelled = job.controller.signal.aborted;
+    job.state = cancelled ? 'cancelled' : 'error';
+    job.error = err.message;
+    console.log(`Job ${job.jobId} ${job.state}:`, err.message);
+    broadcast(TYPES.JOB_ERROR, { jobId: job.jobId, tabId: job.tabId, error: err.message, cancelled });
+    if (!cancelled) await updateCard(job, { title: cardTitle, error: err.message });
+  } finally {
+    job.finishedAt = Date.now();
+    jobs.delete(job.jobId);
+    await keepJob(job);
+  }
+}
+
+/**
+ * Starts a job described by a job/start message (or the same fields)
+ * and returns it. A new page job cancels the running one of its tab.
+ */
+function startJob(request) {
+  if (jobs.has(request.jobId)) throw new Error('A job with this id is already running: ' + request.jobId);
+  if (request.kind === 'page') {
+    jobs.forEach(running => {
+      if (running.kind === 'page' && running.tabId === request.tabId) cancelJob(running.jobId);
+    });
+  }
+
+  const job = {
+    jobId: request.jobId,
+    tabId: request.tabId,
+    kind: request.kind,
+    source: request.source || 'popup',
+    display: request.display || 'none',
+    provider: request.provider,
+    options: request.options,
+    title: request.title,
+    url: request.url,
+    selectionText: request.selectionText,
+    state: 'running',
+    stage: 'queued',
+    controller: new AbortController(),
+    startedAt: Date.now()
+  };
+  jobs.set(job.jobId, job);
+  runJob(job);
+  return job;
+}
+
+/**
+ * Stops a running job. Returns false when it isn't running.
+ */
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return false;
+  job.controller.abort();
+  return true;
+}
+
+/**
+ * The latest page job of a tab: the running one, or else the kept one.
+ */
+async function getJobStatus(tabId) {
+  let latest = null;
+  jobs.forEach(job => {
+    if (job.kind === 'page' && job.tabId === tabId && (!latest || job.startedAt > latest.startedAt)) latest = job;
+  });
+  if (latest) return snapshot(latest);
+  const key = 'job:' + tabId;
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || null;
+}
+
+/**
+ * Starts a job for the context menu or a shortcut, shown in a card on
+ * the page. `request` holds the kind, source and input fields.
+ */
+function startCardJob(tab, request) {
+  startJob({
+    jobId: MessageProtocol.newJobId(),
+    tabId: tab.id,
+    display: 'card',
+    title: tab.title,
+    // Selections vary from a paragraph to a whole article
+    options: request.kind === 'selection' ? { length: { mode: 'auto' }, faithful: true } : { faithful: true },
+    ...request
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!MessageProtocol.isProtocolMessage(message)) return;
+  // Progress and results come from this worker; pages handle those
+  if (![TYPES.JOB_START, TYPES.JOB_STATUS, TYPES.JOB_CANCEL].includes(message.type)) return;
+
+  const problem = MessageProtocol.validate(message);
+  if (problem) {
+    sendResponse({ error: problem });
+    return;
+  }
+  try {
+    if (message.type === TYPES.JOB_START) {
+      sendResponse({ jobId: startJob(message).jobId });
+    } else if (message.type === TYPES.JOB_CANCEL) {
+      sendResponse({ cancelled: cancelJob(message.jobId) });
+    } else {
+      getJobStatus(message.tabId)
+        .then(job => sendResponse({ job }))
+        .catch(err => sendResponse({ error: err.message }));
+      return true;
+    }
+  } catch (err) {
+    sendResponse({ error: err.message });
+  }
+});
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  jobs.forEach(job => {
+    if (job.tabId === tabId) cancelJob(job.jobId);
+  });
+  chrome.storage.session.remove('job:' + tabId);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || tab.id === undefined) return;
+  if (info.menuItemId === MENU_IDS.selection) {
+    startCardJob(tab, { kind: 'selection', source: 'contextMenu', selectionText: info.selectionText });
+  } else if (info.menuItemId === MENU_IDS.link) {
+    // Fetching another site needs its host permission; the menu click
+    // is the user gesture that lets us ask for it
+    ContentInjection.requestSiteAccess(info.linkUrl)
+      .catch(err => console.log('Site access request failed:', err.message))
+      .then(() => startCardJob(tab, { kind: 'link', source: 'contextMenu', url: info.linkUrl, title: info.linkUrl }));
+  } else if (info.menuItemId === MENU_IDS.page) {
+    startCardJob(tab, { kind: 'page', source: 'contextMenu' });
+  }
+});
+
+/**
+ * Copies the last summary, from the popup, side panel or a card, to
+ * the clipboard. Service workers have no clipboard access, so the
+ * offscreen document does the copying. The toolbar badge confirms.
+ */
+async function copyLastSummary() {
+  const { lastSummary } = await chrome.storage.session.get('lastSummary');
+  const copied = Boolean(lastSummary);
+  if (copied) {
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copyText', text: lastSummary });
+  }
+  await chrome.action.setBadgeText({ text: copied ? '✓' : '–' });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === 'copy-last-summary') {
+      await copyLastSummary();
+      return;
+    }
+    if (!tab || tab.id === undefined) return;
+    if (command === 'summarize-page') {
+      startCardJob(tab, { kind: 'page', source: 'shortcut' });
+    } else if (command === 'summarize-selection') {
+      const response = await ContentInjection.sendMessage(tab.id, { action: 'getSelection' });
+      startCardJob(tab, { kind: 'selection', source: 'shortcut', selectionText: response && response.text });
+    } else if (command === 'toggle-reader-view') {
+      await ContentInjection.sendMessage(tab.id, { action: 'toggleReaderView' });
+    }
+  } catch (err) {
+    console.log(`Shortcut "${command}" failed:`, err.message);
+  }
+});
@@ -8,313 +8,1130 @@
  * 3. Gather all paragraphs if still no success.
  * 4. Fallback to visible body text.
  * Finally, clean out references (e.g., [1]) and trim whitespace.
+ * Alongside the flat text, the h1-h3 section structure of the
+ * chosen content is returned for section-aware summaries.
  *******************************************************/
 
-/**
- * Checks if an element is visible (rough approximation).
- */
-function isVisible(element) {
-  if (!element) return false;
-  const style = window.getComputedStyle(element);
-  return (
-    style.display !== 'none' &&
-    style.visibility !== 'hidden' &&
-    parseFloat(style.opacity) > 0 &&
-    element.offsetWidth > 0 &&
-    element.offsetHeight > 0
-  );
-}
-
-/**
- * Clones an element, removes script/style tags, returns trimmed text content.
- */
-function getTextContent(element) {
-  const clone = element.cloneNode(true);
-  const scripts = clone.getElementsByTagName('script');
-  const styles = clone.getElementsByTagName('style');
-  [...scripts, ...styles].forEach((el) => el.remove());
-  return clone.textContent.trim();
-}
-
-/**
- * Cleans and normalizes text by removing bracketed references
- * and excessive whitespace/punctuation.
- */
-function cleanText(text) {
-  return text
-    // Remove bracketed references like [12], [citation needed], etc.
-    .replace(/\[[^\]]*\]/g, '')
-    // Remove leftover @mentions or markers
-    .replace(/@\w+/g, '')
-    // Normalize multiple spaces
-    .replace(/\s+/g, ' ')
-    // Fix repeated periods
-    .replace(/\.+/g, '.')
-    .trim();
-}
-
-/**
- * Attempts to extract the main content using Readability first,
- * then falls back to our custom extraction if needed.
- */
-function extractMainContent() {
-  try {
-    // Check if Readability is available
-    if (typeof Readability === 'undefined') {
-      console.log("Readability library not found, using fallback method");
-      throw new Error("Readability not available");
-    }
-    
-    const documentClone = document.cloneNode(true);
-    
-    // Pre-clean the document clone
-    const elementsToRemove = documentClone.querySelectorAll(
-      'script, style, link, iframe, nav, footer, header, aside, ' +
-      '[role="complementary"], [role="navigation"], ' +
-      '.ad, .ads, .advertisement, .social-share, .comments, ' +
-      'form, button, input, .related-articles'
+// Everything is scoped to this function, so the script can be loaded
+// into a page again without redeclaring anything. It is, when a copy
+// left by an extension reload stops answering, or when the popup and
+// the service worker inject at once (see injection.js).
+(function () {
+
+  /**
+   * Checks if an element is visible (rough approximation).
+   */
+  function isVisible(element) {
+    if (!element) return false;
+    const style = window.getComputedStyle(element);
+    return (
+      style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      parseFloat(style.opacity) > 0 &&
+      element.offsetWidth > 0 &&
+      element.offsetHeight > 0
     );
-    elementsToRemove.forEach(el => el.remove());
+  }
 
-    const reader = new Readability(documentClone, {
-      charThreshold: 100,
-      classesToPreserve: ['article', 'content', 'post']
-    });
-    const article = reader.parse();
-    
-    if (article && article.textContent && article.textContent.trim().length > 300) {
-      console.log("Content extracted using Readability");
-      return {
-        title: article.title,
-        content: cleanText(article.textContent),
-        excerpt: article.excerpt,
-        byline: article.byline,
-        siteName: article.siteName
-      };
+  /**
+   * Clones an element, removes script/style tags, returns trimmed text content.
+   */
+  function getTextContent(element) {
+    const clone = element.cloneNode(true);
+    const scripts = clone.getElementsByTagName('script');
+    const styles = clone.getElementsByTagName('style');
+    [...scripts, ...styles].forEach((el) => el.remove());
+    return clone.textContent.trim();
+  }
+
+  /**
+   * Cleans and normalizes text by removing citation markers (the same
+   * ones as Summarizer.stripCitations) and excessive whitespace/punctuation.
+   */
+  function cleanText(text) {
+    return Summarizer.stripCitations(text)
+      // Remove leftover @mentions or markers
+      .replace(/@[\p{L}\p{N}_]+/gu, '')
+      // Normalize multiple spaces
+      .replace(/\s+/g, ' ')
+      // Keep ellipses, but fix doubled periods
+      .replace(/\.{3,}/g, '…')
+      .replace(/\.{2}/g, '.')
+      .trim();
+  }
+
+  /**
+   * Splits an element's text into sections at its h1-h3 headings.
+   * Text before the first heading forms a leading section without
+   * a heading. Returns cleaned `{ heading, level, text }` entries.
+   */
+  function extractSections(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script, style').forEach((el) => el.remove());
+
+    const sections = [{ heading: '', level: 0, text: '' }];
+    const walker = clone.ownerDocument.createTreeWalker(clone, NodeFilter.SHOW_TEXT);
+    let currentHeading = null;
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const heading = node.parentElement && node.parentElement.closest('h1, h2, h3');
+      if (heading) {
+        if (heading !== currentHeading) {
+          currentHeading = heading;
+          sections.push({ heading: '', level: Number(heading.tagName[1]), text: '' });
+        }
+        sections[sections.length - 1].heading += node.textContent;
+      } else {
+        sections[sections.length - 1].text += node.textContent;
+      }
     }
-    // If Readability returns too little content, proceed to fallback
-    console.log("Readability extraction insufficient, trying fallback method");
-  } catch (error) {
-    console.error("Readability error:", error);
-    console.log("Falling back to custom extraction");
-  }
-
-  // Enhanced content selectors for different types of sites
-  const mainSelectors = [
-    // Article content
-    'article[role="article"]',
-    'main[role="main"]',
-    'div[role="main"]',
-    'article',
-    'main',
-    // Common article content classes
-    '.article-content',
-    '.post-content',
-    '.entry-content',
-    '.story-content',
-    // Medium-specific
-    '.section-content',
-    '.section-inner',
-    // Wikipedia-specific
-    '#mw-content-text',
-    '.mw-parser-output',
-    // Generic content classes
-    '[class*="article"]:not(nav):not(header):not(footer)',
-    '[class*="content"]:not(nav):not(header):not(footer)',
-    '[class*="story"]:not(nav):not(header):not(footer)',
-    // Fallback to any large text container
-    '.post',
-    '.entry',
-    '.article',
-    '.content'
-  ];
-
-  // Try each selector in order
-  for (const selector of mainSelectors) {
-    const elements = Array.from(document.querySelectorAll(selector))
-      .filter(el => isVisible(el));
-    
-    for (const element of elements) {
-      // Skip if the element is too small or likely navigation
-      if (element.offsetHeight < 200) continue;
-      
-      const text = getTextContent(element);
-      if (text.length > 300) {
-        console.log("Content found using selector:", selector);
-        return {
-          title: document.title,
-          content: cleanText(text)
-        };
+
+    return sections
+      .map(section => ({
+        heading: cleanText(section.heading),
+        level: section.level,
+        text: cleanText(section.text)
+      }))
+      .filter(section => section.text);
+  }
+
+  /**
+   * Returns the language the page declares, if any.
+   */
+  function getPageLanguage() {
+    return document.documentElement.lang || undefined;
+  }
+
+  /*******************************************************
+   * EXTRACTION DIAGNOSTICS
+   *
+   * Every extraction reports which strategy won, the element
+   * it chose, the candidates it turned down and why, and a
+   * confidence score, so a bad summary can be traced to
+   * either extraction or scoring. The popup shows them under
+   * "Why this content?" and can outline the chosen element.
+   *******************************************************/
+
+  // Rejected candidates reported, so long pages don't flood the response
+  const MAX_REJECTED = 12;
+
+  // Text length, in characters, that counts as a full article
+  const CONFIDENT_LENGTH = 3000;
+
+  // Paragraph count that counts as a full article
+  const CONFIDENT_PARAGRAPHS = 8;
+
+  const OUTLINE_CLASS = 'qwikread-outline';
+
+  /**
+   * Builds a CSS selector that matches only this element, preferring
+   * ids and falling back to :nth-of-type steps from the body.
+   */
+  function cssPath(element) {
+    const steps = [];
+    let node = element;
+    while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+      if (node.id && document.querySelectorAll('#' + CSS.escape(node.id)).length === 1) {
+        steps.unshift('#' + CSS.escape(node.id));
+        break;
+      }
+      let step = node.localName;
+      const parent = node.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(child => child.localName === node.localName);
+        if (sameTag.length > 1) step += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
       }
+      steps.unshift(step);
+      if (node === document.body) break;
+      node = parent;
     }
+    return steps.join(' > ');
   }
 
-  // Fallback: Find the largest text block
-  const candidates = Array.from(document.querySelectorAll('div, section, article'))
-    .filter(el => {
-      if (!isVisible(el)) return false;
-      const className = (el.className || '').toLowerCase();
-      const id = (el.id || '').toLowerCase();
-      
-      // Skip likely non-content elements
-      const skipPatterns = /(header|footer|nav|menu|comment|sidebar|related|share|meta|promo|ad|banner)/;
-      if (skipPatterns.test(className) || skipPatterns.test(id)) return false;
-      
-      // Check for minimum content requirements
-      const text = getTextContent(el);
-      return text.length > 300 && el.getElementsByTagName('p').length > 2;
-    })
-    .map(el => {
-      const text = getTextContent(el);
-      const paragraphs = el.getElementsByTagName('p').length;
-      const images = el.getElementsByTagName('img').length;
-      return { element: el, text, paragraphs, images };
+  /**
+   * Measures elements the confidence score is built from: text length,
+   * the share of the text inside links, and the paragraph count.
+   */
+  function measureContent(elements) {
+    let length = 0;
+    let linkLength = 0;
+    let paragraphs = 0;
+    elements.forEach(element => {
+      length += element.textContent.trim().length;
+      element.querySelectorAll('a').forEach(link => {
+        linkLength += link.textContent.trim().length;
+      });
+      paragraphs += element.localName === 'p' ? 1 : element.querySelectorAll('p').length;
     });
+    return {
+      length,
+      linkDensity: length ? Math.round((linkLength / length) * 100) / 100 : 0,
+      paragraphs
+    };
+  }
 
-  candidates.sort((a, b) => {
-    // Score based on multiple factors
-    const scoreA = (a.text.length * 0.6) + (a.paragraphs * 100) + (a.images * 50);
-    const scoreB = (b.text.length * 0.6) + (b.paragraphs * 100) + (b.images * 50);
-    return scoreB - scoreA;
-  });
+  /**
+   * Scores extracted content from 0 to 1: long text, few links and
+   * several paragraphs look like an article; short, link-heavy text
+   * looks like navigation.
+   */
+  function confidenceScore(metrics) {
+    const length = Math.min(1, metrics.length / CONFIDENT_LENGTH);
+    const links = 1 - Math.min(1, metrics.linkDensity * 2);
+    const paragraphs = Math.min(1, metrics.paragraphs / CONFIDENT_PARAGRAPHS);
+    return Math.round((0.4 * length + 0.35 * links + 0.25 * paragraphs) * 100) / 100;
+  }
+
+  /**
+   * Finds the live element holding Readability's article, which works
+   * on a copy of the page: the closest ancestor of the article's first
+   * paragraph that holds most of its text.
+   */
+  function locateArticleElement(articleBody, articleLength) {
+    const firstParagraph = Array.from(articleBody.querySelectorAll('p'))
+      .map(p => p.textContent.trim())
+      .find(text => text.length > 40);
+    if (!firstParagraph) return null;
 
-  if (candidates.length > 0) {
-    console.log("Content found using largest text block method");
+    const match = Array.from(document.querySelectorAll('p'))
+      .find(p => p.textContent.trim() === firstParagraph);
+    let element = match;
+    while (element && element !== document.body && element.textContent.trim().length < articleLength * 0.8) {
+      element = element.parentElement;
+    }
+    return element || null;
+  }
+
+  /**
+   * Builds the diagnostics of the winning strategy. `elements` are the
+   * live elements the content came from, measured for confidence;
+   * `measured` replaces them when the content is no live element.
+   */
+  function buildDiagnostics(strategy, { selector, element, elements, measured, rejected }) {
+    const metrics = measured || measureContent(elements || (element ? [element] : []));
+    const elementPath = element ? cssPath(element) : null;
     return {
-      title: document.title,
-      content: cleanText(candidates[0].text)
+      strategy,
+      selector: selector || elementPath,
+      elementPath,
+      confidence: confidenceScore(metrics),
+      metrics,
+      rejected: rejected.slice(0, MAX_REJECTED)
     };
   }
 
-  // Final fallback: Collect all paragraphs
-  const paragraphs = Array.from(document.querySelectorAll('p'))
-    .filter(p => isVisible(p) && p.textContent.trim().length > 40)
-    .map(p => p.textContent.trim());
+  /**
+   * Notes a rejected candidate for the diagnostics.
+   */
+  function rejectCandidate(rejected, strategy, reason, details = {}) {
+    rejected.push({ strategy, reason, ...details });
+  }
+
+  /**
+   * Outlines the element matching `elementPath` and scrolls to it, or
+   * removes the outline. Returns whether the element is outlined.
+   */
+  function outlineElement(elementPath, show = true) {
+    document.querySelectorAll('.' + OUTLINE_CLASS).forEach(el => el.classList.remove(OUTLINE_CLASS));
+    if (!show || !elementPath) return false;
+    const element = document.querySelector(elementPath);
+    if (!element) return false;
+
+    if (!document.getElementById('qwikread-outline-style')) {
+      const style = document.createElement('style');
+      style.id = 'qwikread-outline-style';
+      style.textContent = `.${OUTLINE_CLASS} { outline: 3px dashed #1a73e8 !important; outline-offset: 4px; }`;
+      document.head.appendChild(style);
+    }
+    element.classList.add(OUTLINE_CLASS);
+    element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+
+  /**
+   * Attempts to extract the main content using Readability first,
+   * then falls back to our custom extraction if needed. The response
+   * carries `diagnostics` on how the content was chosen.
+   */
+  function extractMainContent() {
+    const rejected = [];
+    try {
+      // Check if Readability is available
+      if (typeof Readability === 'undefined') {
+        console.log("Readability library not found, using fallback method");
+        throw new Error("Readability not available");
+      }
+
+      const documentClone = document.cloneNode(true);
+
+      // Pre-clean the document clone
+      const elementsToRemove = documentClone.querySelectorAll(
+        'script, style, link, iframe, nav, footer, header, aside, ' +
+        '[role="complementary"], [role="navigation"], ' +
+        '.ad, .ads, .advertisement, .social-share, .comments, ' +
+        'form, button, input, .related-articles'
+      );
+      elementsToRemove.forEach(el => el.remove());
+
+      const reader = new Readability(documentClone, {
+        charThreshold: 100,
+        classesToPreserve: ['article', 'content', 'post']
+      });
+      const article = reader.parse();
+
+      const articleLength = article && article.textContent ? article.textContent.trim().length : 0;
+      if (articleLength > 300) {
+        console.log("Content extracted using Readability");
+        const articleBody = new DOMParser().parseFromString(article.content, 'text/html').body;
+        return {
+          title: article.title,
+          content: cleanText(article.textContent),
+          sections: extractSections(articleBody),
+          excerpt: article.excerpt,
+          byline: article.byline,
+          siteName: article.siteName,
+          lang: article.lang || getPageLanguage(),
+          diagnostics: buildDiagnostics('readability', {
+            element: locateArticleElement(articleBody, articleLength),
+            measured: measureContent([articleBody]),
+            rejected
+          })
+        };
+      }
+      // If Readability returns too little content, proceed to fallback
+      console.log("Readability extraction insufficient, trying fallback method");
+      rejectCandidate(rejected, 'readability', article
+        ? `Only ${articleLength} characters of article text (needs more than 300)`
+        : 'No article found');
+    } catch (error) {
+      console.error("Readability error:", error);
+      console.log("Falling back to custom extraction");
+      rejectCandidate(rejected, 'readability', error.message);
+    }
+
+    // Enhanced content selectors for different types of sites
+    const mainSelectors = [
+      // Article content
+      'article[role="article"]',
+      'main[role="main"]',
+      'div[role="main"]',
+      'article',
+      'main',
+      // Common article content classes
+      '.article-content',
+      '.post-content',
+      '.entry-content',
+      '.story-content',
+      // Medium-specific
+      '.section-content',
+      '.section-inner',
+      // Wikipedia-specific
+      '#mw-content-text',
+      '.mw-parser-output',
+      // Generic content classes
+      '[class*="article"]:not(nav):not(header):not(footer)',
+      '[class*="content"]:not(nav):not(header):not(footer)',
+      '[class*="story"]:not(nav):not(header):not(footer)',
+      // Fallback to any large text container
+      '.post',
+      '.entry',
+      '.article',
+      '.content'
+    ];
+
+    // Try each selector in order
+    for (const selector of mainSelectors) {
+      const elements = Array.from(document.querySelectorAll(selector))
+        .filter(el => isVisible(el));
+
+      for (const element of elements) {
+        // Skip if the element is too small or likely navigation
+        if (element.offsetHeight < 200) {
+          rejectCandidate(rejected, 'selector', `Only ${element.offsetHeight}px tall (needs 200)`, {
+            selector,
+            elementPath: cssPath(element)
+          });
+          continue;
+        }
+
+        const text = getTextContent(element);
+        if (text.length > 300) {
+          console.log("Content found using selector:", selector);
+          return {
+            title: document.title,
+            content: cleanText(text),
+            sections: extractSections(element),
+            lang: getPageLanguage(),
+            diagnostics: buildDiagnostics('selector', { selector, element, rejected })
+          };
+        }
+        rejectCandidate(rejected, 'selector', `Only ${text.length} characters (needs more than 300)`, {
+          selector,
+          elementPath: cssPath(element)
+        });
+      }
+    }
 
-  if (paragraphs.length > 0) {
-    console.log("Content found using paragraph collection method");
+    // Fallback: Find the largest text block
+    const candidates = Array.from(document.querySelectorAll('div, section, article'))
+      .filter(el => {
+        if (!isVisible(el)) return false;
+        const className = (el.className || '').toLowerCase();
+        const id = (el.id || '').toLowerCase();
+
+        // Skip likely non-content elements
+        const skipPatterns = /(header|footer|nav|menu|comment|sidebar|related|share|meta|promo|ad|banner)/;
+        if (skipPatterns.test(className) || skipPatterns.test(id)) return false;
+
+        // Check for minimum content requirements
+        const text = getTextContent(el);
+        return text.length > 300 && el.getElementsByTagName('p').length > 2;
+      })
+      .map(el => {
+        const text = getTextContent(el);
+        const paragraphs = el.getElementsByTagName('p').length;
+        const images = el.getElementsByTagName('img').length;
+        return { element: el, text, paragraphs, images };
+      });
+
+    candidates.sort((a, b) => {
+      // Score based on multiple factors
+      const scoreA = (a.text.length * 0.6) + (a.paragraphs * 100) + (a.images * 50);
+      const scoreB = (b.text.length * 0.6) + (b.paragraphs * 100) + (b.images * 50);
+      return scoreB - scoreA;
+    });
+
+    if (candidates.length > 0) {
+      console.log("Content found using largest text block method");
+      // The runners-up, so it's visible what the winner was chosen over
+      candidates.slice(1, 4).forEach(candidate => {
+        rejectCandidate(rejected, 'largest-block', 'Smaller block than the chosen one', {
+          elementPath: cssPath(candidate.element),
+          length: candidate.text.length
+        });
+      });
+      return {
+        title: document.title,
+        content: cleanText(candidates[0].text),
+        sections: extractSections(candidates[0].element),
+        lang: getPageLanguage(),
+        diagnostics: buildDiagnostics('largest-block', { element: candidates[0].element, rejected })
+      };
+    }
+    rejectCandidate(rejected, 'largest-block', 'No visible block with over 300 characters and 3 paragraphs');
+
+    // Final fallback: Collect all paragraphs
+    const paragraphElements = Array.from(document.querySelectorAll('p'))
+      .filter(p => isVisible(p) && p.textContent.trim().length > 40);
+    const paragraphs = paragraphElements.map(p => p.textContent.trim());
+
+    if (paragraphs.length > 0) {
+      console.log("Content found using paragraph collection method");
+      return {
+        title: document.title,
+        content: cleanText(paragraphs.join(' ')),
+        lang: getPageLanguage(),
+        diagnostics: buildDiagnostics('paragraphs', { selector: 'p', elements: paragraphElements, rejected })
+      };
+    }
+    rejectCandidate(rejected, 'paragraphs', 'No visible paragraph with over 40 characters');
+
+    // If all else fails, use body text
+    console.log("Using minimal fallback");
     return {
       title: document.title,
-      content: cleanText(paragraphs.join(' '))
+      content: cleanText(document.body.innerText),
+      lang: getPageLanguage(),
+      diagnostics: buildDiagnostics('body', { element: document.body, rejected })
     };
   }
 
-  // If all else fails, use body text
-  console.log("Using minimal fallback");
-  return {
-    title: document.title,
-    content: cleanText(document.body.innerText)
-  };
-}
-
-/**
- * Helper function that removes obstructive elements such as paywall overlays.
- * It targets fixed position elements with high z-index that span a large width.
- */
-function removeObstructiveElements() {
-  const elements = document.querySelectorAll('div, section, aside');
-  elements.forEach(el => {
-    const style = window.getComputedStyle(el);
-    if (
-      style.position === 'fixed' &&
-      parseInt(style.zIndex) > 1000 &&
-      el.offsetWidth > window.innerWidth * 0.8
-    ) {
-      el.remove();
-      console.log('Removed potential overlay:', el);
-    }
-  });
-}
-
-// More reliable detection of when page is fully loaded
-function waitForContentStabilization(callback, maxWaitTime = 5000) {
-  let contentSignature = {
-    length: document.body.innerText.length,
-    paragraphs: document.querySelectorAll('p').length,
-    headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length
-  };
-  
-  let lastChangeTime = Date.now();
-  const checkInterval = 200; // Check every 200ms
-  
-  // Setup observer for DOM changes
-  const observer = new MutationObserver(() => {
-    const newSignature = {
+  /**
+   * Helper function that removes obstructive elements such as paywall overlays.
+   * It targets fixed position elements with high z-index that span a large width.
+   */
+  function removeObstructiveElements() {
+    const elements = document.querySelectorAll('div, section, aside');
+    elements.forEach(el => {
+      const style = window.getComputedStyle(el);
+      if (
+        style.position === 'fixed' &&
+        parseInt(style.zIndex) > 1000 &&
+        el.offsetWidth > window.innerWidth * 0.8
+      ) {
+        el.remove();
+        console.log('Removed potential overlay:', el);
+      }
+    });
+  }
+
+  // More reliable detection of when page is fully loaded
+  function waitForContentStabilization(callback, maxWaitTime = 5000) {
+    let contentSignature = {
       length: document.body.innerText.length,
       paragraphs: document.querySelectorAll('p').length,
       headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length
     };
-    
-    if (
-      newSignature.length !== contentSignature.length ||
-      newSignature.paragraphs !== contentSignature.paragraphs ||
-      newSignature.headings !== contentSignature.headings
-    ) {
-      contentSignature = newSignature;
-      lastChangeTime = Date.now();
+
+    let lastChangeTime = Date.now();
+    const checkInterval = 200; // Check every 200ms
+
+    // Setup observer for DOM changes
+    const observer = new MutationObserver(() => {
+      const newSignature = {
+        length: document.body.innerText.length,
+        paragraphs: document.querySelectorAll('p').length,
+        headings: document.querySelectorAll('h1, h2, h3, h4, h5, h6').length
+      };
+
+      if (
+        newSignature.length !== contentSignature.length ||
+        newSignature.paragraphs !== contentSignature.paragraphs ||
+        newSignature.headings !== contentSignature.headings
+      ) {
+        contentSignature = newSignature;
+        lastChangeTime = Date.now();
+      }
+    });
+
+    observer.observe(document.body, { 
+      childList: true, 
+      subtree: true,
+      characterData: true 
+    });
+
+    // Check if content has stabilized
+    const intervalId = setInterval(() => {
+      if (Date.now() - lastChangeTime > 1000) { // No changes for 1 second
+        clearInterval(intervalId);
+        observer.disconnect();
+        callback();
+      } else if (Date.now() - lastChangeTime > maxWaitTime) {
+        // If max wait time exceeded, proceed anyway
+        clearInterval(intervalId);
+        observer.disconnect();
+        callback();
+      }
+    }, checkInterval);
+  }
+
+  /*******************************************************
+   * PAGE HIGHLIGHTING
+   *
+   * Summary sentences are located in the live DOM by
+   * comparing letters and digits only, lowercased, so the
+   * whitespace, punctuation and citation markers removed
+   * during extraction don't prevent a match.
+   *******************************************************/
+
+  const HIGHLIGHT_CLASS = 'qwikread-highlight';
+
+  // Citation markers like [12], skipped the way cleanText() removes them
+  const CITATION_PATTERN = /\[[^\]]{0,40}\]/g;
+
+  /**
+   * Reduces text to its lowercased letters and digits.
+   */
+  function toMatchKey(text) {
+    return (text.replace(CITATION_PATTERN, '').toLowerCase().match(/[\p{L}\p{N}]/gu) || []).join('');
+  }
+
+  /**
+   * Builds the match key of the whole page body, remembering for every
+   * key character the text node and offset it came from.
+   */
+  function buildPageIndex() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        return parent && !parent.closest('script, style, noscript, textarea')
+          ? NodeFilter.FILTER_ACCEPT
+          : NodeFilter.FILTER_REJECT;
+      }
+    });
+
+    const nodes = [];
+    let raw = '';
+    const nodeStarts = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+      nodeStarts.push(raw.length);
+      raw += walker.currentNode.textContent;
     }
-  });
-  
-  observer.observe(document.body, { 
-    childList: true, 
-    subtree: true,
-    characterData: true 
-  });
-  
-  // Check if content has stabilized
-  const intervalId = setInterval(() => {
-    if (Date.now() - lastChangeTime > 1000) { // No changes for 1 second
-      clearInterval(intervalId);
-      observer.disconnect();
-      callback();
-    } else if (Date.now() - lastChangeTime > maxWaitTime) {
-      // If max wait time exceeded, proceed anyway
-      clearInterval(intervalId);
-      observer.disconnect();
-      callback();
+
+    // Mark the raw characters that belong to citation markers
+    const skipped = new Uint8Array(raw.length);
+    for (const match of raw.matchAll(CITATION_PATTERN)) {
+      skipped.fill(1, match.index, match.index + match[0].length);
     }
-  }, checkInterval);
-}
-
-// Update the message listener
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "extractContent") {
-    // Remove any potential obstructive elements
-    removeObstructiveElements();
-    
-    // Create a promise to handle the async extraction
-    const extractionPromise = new Promise((resolve) => {
-      // Wait for the page to stabilize before extracting content
-      waitForContentStabilization(() => {
-        try {
-          const content = extractMainContent();
-          resolve(content);
-        } catch (error) {
-          resolve({
-            title: document.title,
-            content: "Error extracting content: " + error.message
-          });
+
+    let key = '';
+    const keyNodes = [];
+    const keyOffsets = [];
+    nodes.forEach((node, n) => {
+      const text = node.textContent;
+      for (let i = 0; i < text.length; i++) {
+        if (skipped[nodeStarts[n] + i] || !/[\p{L}\p{N}]/u.test(text[i])) continue;
+        for (const char of text[i].toLowerCase()) {
+          key += char;
+          keyNodes.push(n);
+          keyOffsets.push(i);
         }
+      }
+    });
+
+    return { nodes, key, keyNodes, keyOffsets };
+  }
+
+  /**
+   * Finds a sentence on the page. Returns the `{ node, nodeIndex, start, end }`
+   * pieces of text it spans, or null when it can't be found. Falls back
+   * to matching the sentence's opening when the full text differs.
+   */
+  function locateSentence(index, source) {
+    const sentenceKey = toMatchKey(source);
+    if (!sentenceKey) return null;
+
+    let start = index.key.indexOf(sentenceKey);
+    let length = sentenceKey.length;
+    if (start < 0) {
+      start = index.key.indexOf(sentenceKey.slice(0, 40));
+      length = Math.min(sentenceKey.length, index.key.length - start);
+    }
+    if (start < 0) return null;
+
+    const pieces = [];
+    for (let k = start; k < start + length; k++) {
+      const nodeIndex = index.keyNodes[k];
+      const offset = index.keyOffsets[k];
+      const last = pieces[pieces.length - 1];
+      if (last && last.nodeIndex === nodeIndex) {
+        last.end = offset + 1;
+      } else {
+        pieces.push({ node: index.nodes[nodeIndex], nodeIndex, start: offset, end: offset + 1 });
+      }
+    }
+
+    // Include closing punctuation right after the last letter
+    const last = pieces[pieces.length - 1];
+    const trailing = last.node.textContent.slice(last.end).match(/^[.!?…。！？"'”’)]*/);
+    last.end += trailing[0].length;
+    return pieces;
+  }
+
+  /**
+   * Adds the highlight stylesheet to the page once.
+   */
+  function ensureHighlightStyle() {
+    if (document.getElementById('qwikread-highlight-style')) return;
+    const style = document.createElement('style');
+    style.id = 'qwikread-highlight-style';
+    style.textContent =
+      `.${HIGHLIGHT_CLASS} { background-color: #fff3b0; color: inherit; padding: 0; }` +
+      `.${HIGHLIGHT_CLASS}.qwikread-focus { background-color: #ffd54f; }`;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Removes all highlights, restoring the original text nodes.
+   */
+  function clearHighlights() {
+    document.querySelectorAll('mark.' + HIGHLIGHT_CLASS).forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(...mark.childNodes);
+      parent.normalize();
+    });
+  }
+
+  /**
+   * Wraps each sentence in <mark> elements tagged with its position in
+   * `sources`. Returns how many sentences were found on the page.
+   */
+  function highlightSentences(sources) {
+    clearHighlights();
+    ensureHighlightStyle();
+    const index = buildPageIndex();
+    const located = sources.map(source => locateSentence(index, source));
+
+    // Wrap from the end of each node backwards so offsets stay valid
+    const pieces = located.flatMap((sentencePieces, i) =>
+      (sentencePieces || []).map(piece => ({ ...piece, sentence: i })));
+    pieces.sort((a, b) => a.nodeIndex - b.nodeIndex || b.start - a.start);
+    pieces.forEach(({ node, start, end, sentence }) => {
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, end);
+      const mark = document.createElement('mark');
+      mark.className = HIGHLIGHT_CLASS;
+      mark.dataset.qwikreadSentence = sentence;
+      range.surroundContents(mark);
+    });
+
+    return located.filter(Boolean).length;
+  }
+
+  /**
+   * Scrolls a sentence into view and briefly emphasizes it. Uses the
+   * existing highlight when there is one, otherwise selects the text.
+   */
+  function scrollToSentence(source, position) {
+    const marks = document.querySelectorAll(
+      `mark.${HIGHLIGHT_CLASS}[data-qwikread-sentence="${position}"]`);
+    if (marks.length) {
+      marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+      marks.forEach(mark => mark.classList.add('qwikread-focus'));
+      setTimeout(() => marks.forEach(mark => mark.classList.remove('qwikread-focus')), 2000);
+      return true;
+    }
+
+    const pieces = locateSentence(buildPageIndex(), source);
+    if (!pieces) return false;
+    const range = document.createRange();
+    range.setStart(pieces[0].node, pieces[0].start);
+    const last = pieces[pieces.length - 1];
+    range.setEnd(last.node, last.end);
+    pieces[0].node.parentElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return true;
+  }
+
+  /*******************************************************
+   * SUMMARY CARD
+   *
+   * A small card pinned to the top right of the page, used
+   * to show summaries requested from the context menu. It
+   * lives in a shadow root so page styles don't leak in.
+   *******************************************************/
+
+  const CARD_HOST_ID = 'qwikread-summary-card';
+
+  const CARD_STYLE = `
+    :host { all: initial; }
+    .card {
+      position: fixed; top: 16px; right: 16px; z-index: 2147483647;
+      width: 360px; max-height: 70vh; overflow: auto; box-sizing: border-box;
+      padding: 14px 16px; border-radius: 8px; background: #fff; color: #202124;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+      font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    header { display: flex; align-items: flex-start; gap: 8px; margin-bottom: 8px; }
+    h2 { flex: 1; margin: 0; font-size: 14px; font-weight: 600; }
+    button { border: none; border-radius: 4px; background: #4285f4; color: #fff; cursor: pointer; font: inherit; padding: 4px 10px; }
+    button.close { background: none; color: #5f6368; font-size: 18px; line-height: 1; padding: 0 4px; }
+    .text { margin: 0 0 8px; white-space: pre-wrap; }
+    .meta { margin: 0 0 8px; color: #5f6368; font-size: 12px; }
+    .error { color: #d93025; }
+  `;
+
+  /**
+   * Removes the summary card, if shown.
+   */
+  function closeSummaryCard() {
+    const host = document.getElementById(CARD_HOST_ID);
+    if (host) host.remove();
+  }
+
+  /**
+   * Shows the summary card, replacing the current one. `card` is
+   * `{ title, text, meta, error, loading }`; a loading card only shows
+   * its title and a progress note.
+   */
+  function showSummaryCard(card) {
+    let host = document.getElementById(CARD_HOST_ID);
+    if (!host) {
+      host = document.createElement('div');
+      host.id = CARD_HOST_ID;
+      host.attachShadow({ mode: 'open' });
+      document.documentElement.appendChild(host);
+    }
+    const root = host.shadowRoot;
+    root.textContent = '';
+
+    const style = document.createElement('style');
+    style.textContent = CARD_STYLE;
+    const container = document.createElement('div');
+    container.className = 'card';
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-label', 'QwikRead summary');
+
+    const header = document.createElement('header');
+    const title = document.createElement('h2');
+    title.textContent = card.title || 'Summary';
+    const close = document.createElement('button');
+    close.className = 'close';
+    close.textContent = '×';
+    close.title = 'Close';
+    close.addEventListener('click', closeSummaryCard);
+    header.append(title, close);
+    container.appendChild(header);
+
+    const text = document.createElement('p');
+    text.className = card.error ? 'text error' : 'text';
+    text.textContent = card.loading ? 'Summarizing…' : (card.error || card.text || 'Nothing to summarize.');
+    container.appendChild(text);
+
+    if (card.meta && !card.loading) {
+      const meta = document.createElement('p');
+      meta.className = 'meta';
+      meta.textContent = card.meta;
+      container.appendChild(meta);
+    }
+
+    if (card.text && !card.loading && !card.error) {
+      const copy = document.createElement('button');
+      copy.textContent = 'Copy';
+      copy.addEventListener('click', () => {
+        navigator.clipboard.writeText(card.text).then(() => {
+          copy.textContent = 'Copied!';
+          setTimeout(() => { copy.textContent = 'Copy'; }, 2000);
+        });
+      });
+      container.appendChild(copy);
+    }
+
+    root.append(style, container);
+  }
+
+  /*******************************************************
+   * READER VIEW
+   *
+   * A distraction-free overlay showing the article HTML
+   * returned by Readability, with its title, byline, site
+   * name and publication date. Font size, line width and
+   * theme are adjustable and saved across pages. The
+   * summary is pinned at the top in a collapsible box.
+   * Like the summary card, it lives in a shadow root.
+   *******************************************************/
+
+  const READER_HOST_ID = 'qwikread-reader';
+
+  const READER_DEFAULTS = { fontSize: 18, width: 'medium', theme: 'light' };
+  const READER_WIDTHS = { narrow: '560px', medium: '720px', wide: '920px' };
+  const READER_FONT_RANGE = { min: 12, max: 32, step: 2 };
+
+  const READER_STYLE = `
+    :host { all: initial; }
+    .reader {
+      position: fixed; inset: 0; z-index: 2147483647; overflow-y: auto;
+      background: var(--bg); color: var(--fg);
+      font: var(--font-size)/1.7 Georgia, "Times New Roman", serif;
+    }
+    .reader.light { --bg: #fff; --fg: #202124; --muted: #5f6368; --box: #f1f3f4; --link: #1a73e8; }
+    .reader.sepia { --bg: #f4ecd8; --fg: #433422; --muted: #7a6a53; --box: #eadfc6; --link: #8b4513; }
+    .reader.dark { --bg: #1e1e1e; --fg: #e8eaed; --muted: #9aa0a6; --box: #2d2e30; --link: #8ab4f8; }
+    .toolbar {
+      position: sticky; top: 0; display: flex; gap: 6px; justify-content: flex-end; align-items: center;
+      padding: 8px 16px; background: var(--bg); border-bottom: 1px solid var(--box);
+      font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+    }
+    .toolbar button, .toolbar select {
+      border: 1px solid var(--muted); border-radius: 4px; background: var(--bg); color: var(--fg);
+      font: inherit; padding: 3px 8px; cursor: pointer;
+    }
+    article { max-width: var(--width); margin: 0 auto; padding: 24px 20px 64px; }
+    h1 { font-size: 1.8em; line-height: 1.25; margin: 0 0 8px; }
+    .byline { color: var(--muted); font-size: 0.8em; margin: 0 0 24px; }
+    details.summary { background: var(--box); border-radius: 6px; padding: 12px 16px; margin: 0 0 28px; }
+    details.summary summary { cursor: pointer; font-weight: bold; }
+    details.summary p { margin: 8px 0 0; }
+    .content img, .content video, .content figure { max-width: 100%; height: auto; }
+    .content a { color: var(--link); }
+    .content pre { overflow-x: auto; }
+  `;
+
+  // Page scroll setting, restored when the reader closes
+  let readerSavedOverflow = null;
+
+  /**
+   * Parses the page with Readability, keeping the cleaned article HTML.
+   */
+  function parseReaderArticle() {
+    if (typeof Readability === 'undefined') return null;
+    const documentClone = document.cloneNode(true);
+    documentClone.querySelectorAll('#' + CARD_HOST_ID + ', #' + READER_HOST_ID).forEach(el => el.remove());
+    return new Readability(documentClone, { charThreshold: 100 }).parse();
+  }
+
+  /**
+   * Turns Readability's HTML into nodes, dropping anything that could
+   * run script in the page.
+   */
+  function sanitizeArticleHtml(html) {
+    const body = new DOMParser().parseFromString(html, 'text/html').body;
+    body.querySelectorAll('script, style, iframe, object, embed, form').forEach(el => el.remove());
+    body.querySelectorAll('*').forEach(el => {
+      Array.from(el.attributes).forEach(attribute => {
+        const unsafeUrl = /^(href|src|xlink:href|action)$/i.test(attribute.name) &&
+          /^\s*javascript:/i.test(attribute.value);
+        if (/^on/i.test(attribute.name) || unsafeUrl) el.removeAttribute(attribute.name);
       });
     });
-    
-    // Use the promise to send the response when ready
-    extractionPromise.then((content) => {
-      if (!content) {
+    const fragment = document.createDocumentFragment();
+    fragment.append(...Array.from(body.childNodes, node => document.importNode(node, true)));
+    return fragment;
+  }
+
+  /**
+   * Formats Readability's publishedTime for display, or returns it
+   * unchanged when it isn't a date.
+   */
+  function formatPublishedTime(value) {
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toLocaleDateString(getPageLanguage(), { dateStyle: 'long' });
+  }
+
+  /**
+   * Summarizes the article text with the built-in summarizer, for when
+   * no summary was passed in.
+   */
+  function summarizeArticle(article) {
+    if (typeof Summarizer === 'undefined' || !article.textContent) return '';
+    try {
+      return Summarizer.summarize(cleanText(article.textContent), {
+        locale: article.lang || getPageLanguage(),
+        faithful: true
+      }).text;
+    } catch (error) {
+      console.log('Reader summary failed:', error.message);
+      return '';
+    }
+  }
+
+  /**
+   * Applies font size, line width and theme to the open reader.
+   */
+  function applyReaderSettings(container, settings) {
+    container.className = 'reader ' + settings.theme;
+    container.style.setProperty('--font-size', settings.fontSize + 'px');
+    container.style.setProperty('--width', READER_WIDTHS[settings.width] || READER_WIDTHS.medium);
+  }
+
+  /**
+   * Builds the reader toolbar. Every change is applied at once and
+   * saved for the next page.
+   */
+  function createReaderToolbar(container, settings) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'toolbar';
+
+    const update = changes => {
+      Object.assign(settings, changes);
+      applyReaderSettings(container, settings);
+      chrome.storage.local.set({ readerSettings: settings });
+    };
+    const button = (label, title, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.title = title;
+      element.addEventListener('click', onClick);
+      return element;
+    };
+    const select = (options, value, title, onChange) => {
+      const element = document.createElement('select');
+      element.title = title;
+      Object.entries(options).forEach(([optionValue, label]) => element.add(new Option(label, optionValue)));
+      element.value = value;
+      element.addEventListener('change', () => onChange(element.value));
+      return element;
+    };
+
+    toolbar.append(
+      button('A−', 'Smaller text', () =>
+        update({ fontSize: Math.max(READER_FONT_RANGE.min, settings.fontSize - READER_FONT_RANGE.step) })),
+      button('A+', 'Larger text', () =>
+        update({ fontSize: Math.min(READER_FONT_RANGE.max, settings.fontSize + READER_FONT_RANGE.step) })),
+      select({ narrow: 'Narrow', medium: 'Medium', wide: 'Wide' }, settings.width, 'Line width',
+        width => update({ width })),
+      select({ light: 'Light', sepia: 'Sepia', dark: 'Dark' }, settings.theme, 'Theme',
+        theme => update({ theme })),
+      button('×', 'Close reader view (Esc)', closeReaderView)
+    );
+    return toolbar;
+  }
+
+  /**
+   * Closes the reader view and restores page scrolling.
+   */
+  function closeReaderView() {
+    const host = document.getElementById(READER_HOST_ID);
+    if (!host) return;
+    host.remove();
+    document.documentElement.style.overflow = readerSavedOverflow || '';
+    readerSavedOverflow = null;
+    document.removeEventListener('keydown', onReaderKeydown, true);
+  }
+
+  /**
+   * Closes the reader view on Escape.
+   */
+  function onReaderKeydown(event) {
+    if (event.key === 'Escape') closeReaderView();
+  }
+
+  /**
+   * Opens the reader view. `summary` is shown pinned at the top; when
+   * it's missing, the article is summarized here. Resolves to false
+   * when the page has no readable article.
+   */
+  async function openReaderView(summary) {
+    const article = parseReaderArticle();
+    if (!article || !article.content) return false;
+
+    const stored = await chrome.storage.local.get('readerSettings');
+    const settings = { ...READER_DEFAULTS, ...stored.readerSettings };
+
+    closeReaderView();
+    const host = document.createElement('div');
+    host.id = READER_HOST_ID;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = READER_STYLE;
+    const container = document.createElement('div');
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-label', 'Reader view');
+    applyReaderSettings(container, settings);
+    container.appendChild(createReaderToolbar(container, settings));
+
+    const body = document.createElement('article');
+    const title = document.createElement('h1');
+    title.textContent = article.title || document.title;
+    body.appendChild(title);
+
+    const details = [article.byline, article.siteName, article.publishedTime && formatPublishedTime(article.publishedTime)]
+      .filter(Boolean);
+    if (details.length) {
+      const byline = document.createElement('p');
+      byline.className = 'byline';
+      byline.textContent = details.join(' · ');
+      body.appendChild(byline);
+    }
+
+    const summaryText = summary || summarizeArticle(article);
+    if (summaryText) {
+      const box = document.createElement('details');
+      box.className = 'summary';
+      box.open = true;
+      const label = document.createElement('summary');
+      label.textContent = 'Summary';
+      const text = document.createElement('p');
+      text.textContent = summaryText;
+      box.append(label, text);
+      body.appendChild(box);
+    }
+
+    const content = document.createElement('div');
+    content.className = 'content';
+    content.lang = article.lang || getPageLanguage() || '';
+    content.appendChild(sanitizeArticleHtml(article.content));
+    body.appendChild(content);
+    container.appendChild(body);
+
+    root.append(style, container);
+    document.documentElement.appendChild(host);
+    readerSavedOverflow = document.documentElement.style.overflow;
+    document.documentElement.style.overflow = 'hidden';
+    document.addEventListener('keydown', onReaderKeydown, true);
+    return true;
+  }
+
+  /**
+   * Opens the reader view, or closes it when it's open. Resolves to
+   * whether the reader is open afterwards.
+   */
+  async function toggleReaderView(summary) {
+    if (document.getElementById(READER_HOST_ID)) {
+      closeReaderView();
+      return false;
+    }
+    return openReaderView(summary);
+  }
+
+  /**
+   * Handles the messages of the popup, side panel and service worker.
+   */
+  function handleMessage(request, sender, sendResponse) {
+    if (request.action === "ping") {
+      sendResponse({ pong: true });
+      return;
+    }
+
+    if (request.action === "extractContent") {
+      // Remove any potential obstructive elements
+      removeObstructiveElements();
+
+      // Create a promise to handle the async extraction
+      const extractionPromise = new Promise((resolve) => {
+        // Wait for the page to stabilize before extracting content
+        waitForContentStabilization(() => {
+          try {
+            const content = extractMainContent();
+            resolve(content);
+          } catch (error) {
+            resolve({
+              title: document.title,
+              content: "Error extracting content: " + error.message
+            });
+          }
+        });
+      });
+
+      // Use the promise to send the response when ready
+      extractionPromise.then((content) => {
+        if (!content) {
+          sendResponse({
+            title: document.title,
+            content: "Failed to extract content from the page."
+          });
+        } else {
+          sendResponse(content);
+        }
+      }).catch((error) => {
         sendResponse({
           title: document.title,
-          content: "Failed to extract content from the page."
+          content: "Error: " + error.message
         });
-      } else {
-        sendResponse(content);
-      }
-    }).catch((error) => {
-      sendResponse({
-        title: document.title,
-        content: "Error: " + error.message
       });
-    });
-    
-    return true; // Keep the message channel open for async response
+
+      return true; // Keep the message channel open for async response
+    }
+
+    if (request.action === "highlightSentences") {
+      sendResponse({ found: highlightSentences(request.sentences || []) });
+    } else if (request.action === "clearHighlights") {
+      clearHighlights();
+      sendResponse({ cleared: true });
+    } else if (request.action === "scrollToSentence") {
+      sendResponse({ found: scrollToSentence(request.sentence, request.position) });
+    } else if (request.action === "toggleReaderView") {
+      toggleReaderView(request.summary)
+        .then(open => sendResponse({ open }))
+        .catch(error => sendResponse({ open: false, error: error.message }));
+      return true;
+    } else if (request.action === "outlineElement") {
+      sendResponse({ outlined: outlineElement(request.elementPath, request.show !== false) });
+    } else if (request.action === "getSelection") {
+      sendResponse({ text: window.getSelection().toString() });
+    } else if (request.action === "showSummaryCard") {
+      showSummaryCard(request.card || {});
+      sendResponse({ shown: true });
+    }
   }
-});
\ No newline at end of file
+
+  // Take over from a copy loaded earlier, so the page keeps one listener
+  const previous = globalThis.qwikreadContentScript;
+  if (previous && typeof previous.disconnect === 'function') previous.disconnect();
+
+  chrome.runtime.onMessage.addListener(handleMessage);
+  globalThis.qwikreadContentScript = {
+    disconnect() {
+      try {
+        chrome.runtime.onMessage.removeListener(handleMessage);
+      } catch (err) {
+        // The extension was reloaded; this copy's listener is gone already
+      }
+    }
+  };
+})();
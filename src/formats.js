@@ -0,0 +1,96 @@
+/*******************************************************
+ * FORMATS.JS
+ *
+ * Output formats for a summary produced by summarizer.js:
+ * - paragraph: the selected sentences joined together
+ * - bullets:   one sentence per bullet
+ * - tldr:      the single highest-scoring sentence
+ * - outline:   bullets nested under their section heading
+ * Each format serializes to Markdown or to plain text with
+ * bullet characters, for pasting into tickets and chat.
+ * Exposes a `SummaryFormats` global, like summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  const FORMATS = ['paragraph', 'bullets', 'tldr', 'outline'];
+
+  // Bullet markers per nesting level
+  const MARKERS = {
+    markdown: ['- ', '  - '],
+    plain: ['• ', '    ◦ ']
+  };
+
+  /**
+   * Returns the sentences a format shows, in display order.
+   */
+  function sentencesFor(result, format) {
+    if (format !== 'tldr' || !result.sentences.length) return result.sentences;
+    const best = result.sentences
+      .reduce((top, sentence) => (sentence.score > top.score ? sentence : top));
+    return [best];
+  }
+
+  /**
+   * Groups consecutive sentences by their `section` heading. Sentences
+   * without one fall under an untitled group.
+   */
+  function groupBySection(sentences) {
+    const groups = [];
+    sentences.forEach(sentence => {
+      const heading = sentence.section || '';
+      const last = groups[groups.length - 1];
+      if (last && last.heading === heading) {
+        last.sentences.push(sentence);
+      } else {
+        groups.push({ heading, sentences: [sentence] });
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * Serializes a summary in the given format.
+   *
+   * @param {Object} result The object returned by Summarizer.summarize().
+   * @param {string} name   One of FORMATS.
+   * @param {string} style  'markdown' or 'plain'.
+   * @return {string}
+   */
+  function format(result, name = 'paragraph', style = 'markdown') {
+    const [top, nested] = MARKERS[style] || MARKERS.markdown;
+    const sentences = sentencesFor(result, name);
+
+    switch (name) {
+      case 'bullets':
+        return sentences.map(sentence => top + sentence.text).join('\n');
+      case 'tldr': {
+        const label = style === 'markdown' ? '**TL;DR:** ' : 'TL;DR: ';
+        return sentences.length ? label + sentences[0].text : '';
+      }
+      case 'outline':
+        return groupBySection(sentences).map(group => {
+          const items = group.sentences.map(sentence => group.heading
+            ? nested + sentence.text
+            : top + sentence.text);
+          if (!group.heading) return items.join('\n');
+          const heading = style === 'markdown' ? `**${group.heading}**` : group.heading;
+          return [top + heading, ...items].join('\n');
+        }).join('\n');
+      default:
+        return result.text;
+    }
+  }
+
+  const SummaryFormats = {
+    FORMATS,
+    sentencesFor,
+    groupBySection,
+    format
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SummaryFormats;
+  } else {
+    global.SummaryFormats = SummaryFormats;
+  }
+})(typeof self !== 'undefined' ? self : this);
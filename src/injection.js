@@ -0,0 +1,158 @@
+/*******************************************************
+ * INJECTION.JS
+ *
+ * Gets content.js into a tab and talks to it. Before
+ * injecting, the tab is pinged, and the scripts are
+ * injected whenever nothing answers: a copy left behind by
+ * an extension reload or update no longer answers, so a
+ * new one is needed. content.js keeps one listener per
+ * page through a global sentinel: a new copy takes over
+ * from the previous one. That also makes it harmless when
+ * the popup and the service worker, which each keep their
+ * own pending injections, inject at once. A message that
+ * fails with
+ * "Receiving end does not exist" (a tab opened before the
+ * extension was installed or reloaded) injects and is sent
+ * again.
+ * Nothing runs in a page until a job needs it: the popup,
+ * context menu and shortcuts rely on `activeTab`, and
+ * features that reach other tabs or sites (the side panel
+ * following tabs, summarizing links) ask for optional
+ * host access one site at a time.
+ * Used by the service worker and by the popup and side
+ * panel; exposes a `ContentInjection` global, like
+ * summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  // Scripts content.js needs, in load order, relative to the extension root
+  const CONTENT_SCRIPTS = [
+    'src/lib/Readability.js',
+    'src/segmenter.js',
+    'src/stopwords.js',
+    'src/summarizer.js',
+    'src/content.js'
+  ];
+
+  const PING_TIMEOUT_MS = 1000;
+
+  // Pending injections by tab, so concurrent callers share one
+  const pending = new Map();
+
+  /**
+   * Rejects with `message` when `promise` takes longer than `ms`.
+   */
+  function withTimeout(promise, ms, message) {
+    let timeoutId;
+    const timeout = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  /**
+   * True for the errors of a tab without a listening content script.
+   */
+  function isMissingReceiver(err) {
+    return /Receiving end does not exist|Could not establish connection/.test(err && err.message);
+  }
+
+  /**
+   * The host permission pattern of a URL's site, like
+   * "https://example.com/*", or null for pages other than http(s).
+   */
+  function sitePattern(url) {
+    try {
+      const { protocol, host } = new URL(url);
+      return /^https?:$/.test(protocol) ? `${protocol}//${host}/*` : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Resolves to true when the extension may access the URL's site
+   * without a user gesture.
+   */
+  async function hasSiteAccess(url) {
+    const pattern = sitePattern(url);
+    return Boolean(pattern) && chrome.permissions.contains({ origins: [pattern] });
+  }
+
+  /**
+   * Asks the user for access to the URL's site. Must be called from a
+   * user gesture, such as a click. Resolves to whether it was granted.
+   */
+  async function requestSiteAccess(url) {
+    const pattern = sitePattern(url);
+    return Boolean(pattern) && chrome.permissions.request({ origins: [pattern] });
+  }
+
+  /**
+   * Resolves to true when the tab's content script answers a ping.
+   */
+  async function ping(tabId) {
+    try {
+      const reply = await withTimeout(
+        chrome.tabs.sendMessage(tabId, { action: 'ping' }, { frameId: 0 }),
+        PING_TIMEOUT_MS,
+        'Ping timeout');
+      return Boolean(reply && reply.pong);
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Makes sure the tab's content script is loaded and answering,
+   * injecting it only when it doesn't answer a ping.
+   */
+  function ensure(tabId) {
+    if (pending.has(tabId)) return pending.get(tabId);
+    const injection = (async () => {
+      if (await ping(tabId)) return;
+      await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPTS });
+      if (!(await ping(tabId))) {
+        throw new Error('The page is not responding. Please refresh the page and try again.');
+      }
+    })().finally(() => pending.delete(tabId));
+    pending.set(tabId, injection);
+    return injection;
+  }
+
+  /**
+   * Sends a message to the tab's content script, injecting it and
+   * retrying once when no content script is listening. Rejects after
+   * `timeout` ms, when given.
+   */
+  async function sendMessage(tabId, message, { timeout } = {}) {
+    const send = () => {
+      const sent = chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+      return timeout ? withTimeout(sent, timeout, 'Message timeout: No response received') : sent;
+    };
+    try {
+      return await send();
+    } catch (err) {
+      if (!isMissingReceiver(err)) throw err;
+      await ensure(tabId);
+      return send();
+    }
+  }
+
+  const ContentInjection = {
+    CONTENT_SCRIPTS,
+    withTimeout,
+    sitePattern,
+    hasSiteAccess,
+    requestSiteAccess,
+    ping,
+    ensure,
+    sendMessage
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = ContentInjection;
+  } else {
+    global.ContentInjection = ContentInjection;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,75 @@
+/*******************************************************
+ * OFFSCREEN.JS
+ *
+ * Runs in the offscreen document created by background.js,
+ * which has the DOM the service worker lacks. It parses
+ * the HTML of a fetched page with Readability and returns
+ * the same `{ title, content, lang, ... }` shape as the
+ * extractContent message of content.js, so linked pages
+ * can be summarized without opening them. It also copies
+ * text to the clipboard for the keyboard shortcuts, which
+ * the service worker can't do itself.
+ *******************************************************/
+
+/**
+ * Parses a page's HTML into its article text. Relative links resolve
+ * against `url`. Falls back to the body text when Readability finds
+ * no article.
+ */
+function parseArticle(html, url) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  if (url && !doc.querySelector('base[href]')) {
+    const base = doc.createElement('base');
+    base.href = url;
+    doc.head.appendChild(base);
+  }
+  const lang = (doc.documentElement.getAttribute('lang') || '').trim() || undefined;
+  const fallbackTitle = doc.title;
+
+  const article = new Readability(doc.cloneNode(true), { charThreshold: 100 }).parse();
+  if (article && article.textContent && article.textContent.trim()) {
+    return {
+      title: article.title || fallbackTitle,
+      content: article.textContent.replace(/\s+/g, ' ').trim(),
+      excerpt: article.excerpt,
+      byline: article.byline,
+      siteName: article.siteName,
+      lang: article.lang || lang
+    };
+  }
+
+  const body = doc.body;
+  if (body) body.querySelectorAll('script, style, noscript, nav, header, footer').forEach(el => el.remove());
+  return {
+    title: fallbackTitle,
+    content: body ? body.textContent.replace(/\s+/g, ' ').trim() : '',
+    lang
+  };
+}
+
+/**
+ * Copies text to the clipboard through a temporary textarea, since
+ * the async Clipboard API needs a focused document.
+ */
+function copyText(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  return copied;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return;
+  try {
+    if (request.action === 'parseArticle') {
+      sendResponse(parseArticle(request.html, request.url));
+    } else if (request.action === 'copyText') {
+      sendResponse({ copied: copyText(request.text || '') });
+    }
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+});
@@ -3,264 +3,716 @@ document.addEventListener('DOMContentLoaded', function() {
   const summarizeBtn = document.getElementById('summarize-btn');
   const summaryContainer = document.getElementById('summary-container');
   const summaryText = document.getElementById('summary-text');
+  const keyphraseList = document.getElementById('keyphrases');
+  const chunkList = document.getElementById('chunk-list');
   const wordCount = document.getElementById('word-count');
+  const compression = document.getElementById('compression');
   const copyBtn = document.getElementById('copy-btn');
+  const readerBtn = document.getElementById('reader-btn');
+  const cancelBtn = document.getElementById('cancel-btn');
   const loader = document.getElementById('loader');
   const error = document.getElementById('error');
+  const pageMeta = document.getElementById('page-meta');
+  const extractionInfo = document.getElementById('extraction-info');
+  const extractionDetails = document.getElementById('extraction-details');
+  const extractionRejected = document.getElementById('extraction-rejected');
+  const outlineBtn = document.getElementById('outline-btn');
+  const openSidePanelBtn = document.getElementById('open-side-panel');
 
-  function extractiveSummarize(text, numSentences = 5) {
-    // Clean the text - enhanced cleaning
-    const cleaned = text
-      .replace(/\[[^\]]*\]/g, '') // Remove citations [1], [2] etc
-      .replace(/\^.*$/gm, '') // Remove lines starting with ^
-      .replace(/https?:\/\/\S+/g, '') // Remove URLs
-      .replace(/\(.*?\)/g, '') // Remove parenthetical content
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/[^\w\s.!?]/g, '') // Remove special characters except sentence endings
-      .trim();
-    
-    // More robust sentence splitting - handles abbreviations better
-    const sentenceRegex = /[^.!?]+(?:[.!?]+["']?|$)/g;
-    const sentences = cleaned.match(sentenceRegex) || [];
-
-    // Filter out very short sentences and code-like content
-    const validSentences = sentences
-      .map(s => s.trim())
-      .filter(s => {
-        // Remove sentences that are too short
-        if (s.split(/\s+/).length < 4 || s.length < 20) return false;
-        
-        // Remove likely code snippets
-        if (s.includes('import ') || s.includes('def ') || s.includes('= ') || s.includes('{') || s.includes('}')) return false;
-        
-        // Remove reference-like sentences
-        if (s.startsWith('^') || s.startsWith('http') || /^\s*\d+\.\s*/.test(s)) return false;
-        
-        // Remove navigation-like content
-        if (s.toLowerCase().includes('click here') || s.toLowerCase().includes('next page')) return false;
-        
-        return true;
-      });
+  // The side panel opens this page too, as popup.html?view=sidepanel; it
+  // stays open while the user browses and follows the active tab of its window
+  const isSidePanel = new URLSearchParams(location.search).get('view') === 'sidepanel';
+  if (isSidePanel) {
+    document.body.classList.add('side-panel');
+    document.title = 'QwikRead side panel';
+    openSidePanelBtn.classList.add('hidden');
+  }
+  const siteAccess = document.getElementById('site-access');
+  const siteAccessHost = document.getElementById('site-access-host');
+  const grantSiteAccessBtn = document.getElementById('grant-site-access');
 
-    if (validSentences.length <= numSentences) return validSentences.join(' ');
-  
-    // Enhanced stop words list
-    const stopWords = new Set([
-      'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were',
-      'to', 'of', 'in', 'for', 'with', 'on', 'at', 'by', 'this', 'that',
-      'there', 'here', 'what', 'where', 'when', 'how', 'all', 'any',
-      'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such',
-      'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too',
-      'very', 'can', 'will', 'just', 'should', 'now', 'click', 'page'
-    ]);
-    
-    // Build a frequency map of meaningful words and phrases
-    const wordFreq = {};
-    const phraseFreq = {};
-    validSentences.forEach(sentence => {
-      // Word frequency
-      const words = sentence.toLowerCase().match(/\b\w+\b/g) || [];
-      words.forEach(word => {
-        if (!stopWords.has(word) && word.length > 2) {
-          wordFreq[word] = (wordFreq[word] || 0) + 1;
-        }
+  const lengthModeSelect = document.getElementById('length-mode');
+  const sentenceCountSelect = document.getElementById('sentence-count');
+  const lengthValueInput = document.getElementById('length-value');
+  const formatSelect = document.getElementById('format');
+
+  // Time allowed for the page to answer highlight, scroll and reader messages
+  const MESSAGE_TIMEOUT_MS = 5000;
+
+  // Starting value of the number input for each length mode
+  const LENGTH_DEFAULTS = { words: 100, percent: 20 };
+  const copyStyleSelect = document.getElementById('copy-style');
+  const showOnPageToggle = document.getElementById('show-on-page');
+  const providerSelect = document.getElementById('provider');
+  const apiSettings = document.getElementById('api-settings');
+  const llmEndpointInput = document.getElementById('llm-endpoint');
+  const llmModelInput = document.getElementById('llm-model');
+  const llmApiKeyInput = document.getElementById('llm-api-key');
+  const saveLlmSettingsBtn = document.getElementById('save-llm-settings');
+
+  // Summary currently shown, re-rendered when the format changes
+  let lastResult = null;
+  // Tab the summary was made from, for highlighting and scrolling
+  let lastTabId = null;
+  // Background job this page shows; messages of other jobs are ignored
+  let currentJobId = null;
+  // How the summarized content was extracted, from the content script
+  let lastDiagnostics = null;
+
+  // Names of the extraction strategies, in the order they are tried
+  const STRATEGY_NAMES = {
+    readability: 'Readability article',
+    selector: 'Content selector',
+    'largest-block': 'Largest text block',
+    paragraphs: 'All paragraphs',
+    body: 'Whole page text'
+  };
+
+  const { TYPES } = MessageProtocol;
+
+  /**
+   * Creates the element for one summary sentence, noting which query
+   * terms it matched when the summary was query-focused. Clicking it
+   * scrolls the page to the sentence. Sentences added only as context
+   * for a dangling reference are muted.
+   */
+  function createSentenceElement(tagName, sentence) {
+    const element = document.createElement(tagName);
+    element.className = sentence.context ? 'summary-sentence context-sentence' : 'summary-sentence';
+    element.dataset.index = sentence.index;
+    element.textContent = sentence.text + ' ';
+    element.title = 'Show this passage on the page';
+    element.addEventListener('click', () => scrollToSentence(sentence));
+    if (sentence.chunk !== undefined) {
+      const link = document.createElement('a');
+      link.className = 'chunk-link';
+      link.href = `#chunk-${sentence.chunk}`;
+      link.textContent = `§${sentence.chunk + 1}`;
+      link.title = 'Open the summary of this part';
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        openChunk(sentence.chunk);
       });
-      
-      // Phrase frequency (2-3 word phrases)
-      for (let i = 0; i < words.length - 1; i++) {
-        const phrase = words.slice(i, i + 2).join(' ');
-        if (!stopWords.has(words[i]) && !stopWords.has(words[i + 1])) {
-          phraseFreq[phrase] = (phraseFreq[phrase] || 0) + 1;
-        }
-      }
+      element.appendChild(link);
+      element.appendChild(document.createTextNode(' '));
+    }
+    if (sentence.matchedTerms && sentence.matchedTerms.length) {
+      const match = document.createElement('span');
+      match.className = 'query-match';
+      match.textContent = sentence.matchedTerms.join(', ');
+      element.appendChild(match);
+      element.appendChild(document.createTextNode(' '));
+    }
+    return element;
+  }
+
+  /**
+   * Saves the current summary, in the chosen format and copy style,
+   * for the "copy last summary" keyboard shortcut.
+   */
+  function rememberSummary() {
+    if (!lastResult) return;
+    const text = SummaryFormats.format(lastResult, formatSelect.value, copyStyleSelect.value);
+    chrome.storage.session.set({ lastSummary: text });
+  }
+
+  /**
+   * Shows the page's title, byline, site name and language above the
+   * summary.
+   */
+  function renderPageMeta(page, result) {
+    pageMeta.textContent = '';
+    const title = document.createElement('strong');
+    title.textContent = page.title || 'Untitled page';
+    pageMeta.appendChild(title);
+    const details = [page.byline, page.siteName, result.lang && `Language: ${result.lang}`]
+      .filter(Boolean)
+      .join(' · ');
+    if (details) {
+      const line = document.createElement('div');
+      line.textContent = details;
+      pageMeta.appendChild(line);
+    }
+  }
+
+  /**
+   * Fills the "Why this content?" panel with the extraction strategy,
+   * the chosen element, its confidence and the rejected candidates.
+   * Hidden when the content didn't come from the open page.
+   */
+  function renderExtractionInfo(diagnostics) {
+    lastDiagnostics = diagnostics || null;
+    extractionInfo.classList.toggle('hidden', !diagnostics);
+    extractionInfo.open = false;
+    outlineBtn.textContent = 'Outline on Page';
+    if (!diagnostics) return;
+
+    const { metrics } = diagnostics;
+    const rows = [
+      ['Strategy', STRATEGY_NAMES[diagnostics.strategy] || diagnostics.strategy],
+      ['Selector', diagnostics.selector || 'None'],
+      ['Confidence', `${Math.round(diagnostics.confidence * 100)}%`],
+      ['Length', `${metrics.length} characters`],
+      ['Link density', `${Math.round(metrics.linkDensity * 100)}%`],
+      ['Paragraphs', String(metrics.paragraphs)]
+    ];
+    extractionDetails.textContent = '';
+    rows.forEach(([term, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      extractionDetails.append(dt, dd);
     });
-    
-    // Score each sentence based on multiple factors
-    const sentenceScores = validSentences.map((sentence, index) => {
-      const words = sentence.toLowerCase().match(/\b\w+\b/g) || [];
-      
-      // Word frequency score - ignore stop words
-      const frequencyScore = words
-        .filter(word => !stopWords.has(word))
-        .reduce((score, word) => score + (wordFreq[word] || 0), 0) / 
-        (words.filter(word => !stopWords.has(word)).length || 1);
-      
-      // Phrase importance score
-      const phraseScore = words.reduce((score, _, i) => {
-        if (i === words.length - 1) return score;
-        const phrase = words.slice(i, i + 2).join(' ');
-        return score + (phraseFreq[phrase] || 0);
-      }, 0) / (words.length || 1);
-      
-      // Position score (both beginning and end of article are important)
-      const positionScore = index < validSentences.length * 0.2 ? 
-        1 - (index / (validSentences.length * 0.2)) : // Beginning bonus
-        (index > validSentences.length * 0.8 ? 
-          (index - validSentences.length * 0.8) / (validSentences.length * 0.2) : // End bonus
-          0.2); // Middle sentences get less weight
-      
-      // Length score - prefer medium length sentences
-      const lengthScore = Math.exp(-(Math.abs(words.length - 20) / 20));
-      
-      // Diversity score - prefer sentences with more unique words
-      const uniqueWords = new Set(words.filter(word => !stopWords.has(word))).size;
-      const diversityScore = uniqueWords / words.length;
-      
-      // Final weighted score
-      const finalScore = (
-        frequencyScore * 0.3 +
-        phraseScore * 0.2 +
-        positionScore * 0.2 +
-        lengthScore * 0.15 +
-        diversityScore * 0.15
-      );
-      
-      return {
-        sentence: sentence.trim(),
-        originalIndex: index,
-        score: finalScore
-      };
+
+    extractionRejected.textContent = '';
+    diagnostics.rejected.forEach(candidate => {
+      const item = document.createElement('li');
+      const where = candidate.selector || candidate.elementPath;
+      item.textContent = `${STRATEGY_NAMES[candidate.strategy] || candidate.strategy}` +
+        (where ? ` (${where})` : '') + `: ${candidate.reason}`;
+      extractionRejected.appendChild(item);
     });
-    
-    // Select top sentences and restore original order
-    const topSentences = sentenceScores
-      .sort((a, b) => b.score - a.score)
-      .slice(0, numSentences)
-      .sort((a, b) => a.originalIndex - b.originalIndex)
-      .map(item => item.sentence);
-    
-    return topSentences.join(' ');
+    outlineBtn.disabled = !diagnostics.elementPath;
   }
 
-  // Function to inject scripts
-  async function injectContentScripts(tabId) {
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['lib/Readability.js']
+  /**
+   * Appends a heading label for each labeled section of the summary.
+   * Returns the container that sentences of the group go into.
+   */
+  function appendSectionGroup(group, containerTag) {
+    if (group.heading) {
+      const label = document.createElement('div');
+      label.className = 'section-label';
+      label.textContent = group.heading;
+      summaryText.appendChild(label);
+    }
+    if (!containerTag) return summaryText;
+    const container = document.createElement(containerTag);
+    summaryText.appendChild(container);
+    return container;
+  }
+
+  /**
+   * Renders the summary in the selected format: a paragraph, bullets,
+   * a one-line TL;DR or an outline grouped by section. Paragraphs and
+   * bullets are labeled with their section heading when there is one.
+   */
+  function renderSummary(result) {
+    const format = formatSelect.value;
+    const sentences = SummaryFormats.sentencesFor(result, format);
+    summaryText.textContent = '';
+    summaryText.className = `format-${format}`;
+
+    if (format === 'bullets') {
+      SummaryFormats.groupBySection(sentences).forEach(group => {
+        const list = appendSectionGroup(group, 'ul');
+        group.sentences.forEach(sentence => list.appendChild(createSentenceElement('li', sentence)));
       });
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content.js']
+    } else if (format === 'outline') {
+      const outline = document.createElement('ul');
+      SummaryFormats.groupBySection(sentences).forEach(group => {
+        const items = document.createElement('ul');
+        group.sentences.forEach(sentence => items.appendChild(createSentenceElement('li', sentence)));
+        if (!group.heading) {
+          Array.from(items.children).forEach(item => outline.appendChild(item));
+          return;
+        }
+        const section = document.createElement('li');
+        section.className = 'outline-heading';
+        section.textContent = group.heading;
+        section.appendChild(items);
+        outline.appendChild(section);
+      });
+      summaryText.appendChild(outline);
+    } else if (format === 'tldr') {
+      const label = document.createElement('strong');
+      label.textContent = 'TL;DR: ';
+      summaryText.appendChild(label);
+      sentences.forEach(sentence => summaryText.appendChild(createSentenceElement('span', sentence)));
+    } else {
+      SummaryFormats.groupBySection(sentences).forEach(group => {
+        const paragraph = appendSectionGroup(group, 'p');
+        group.sentences.forEach(sentence => paragraph.appendChild(createSentenceElement('span', sentence)));
       });
-      return true;
-    } catch (err) {
-      console.log('Script injection error:', err.message);
-      return false;
     }
+
+    // Show word count and how much of the original it keeps
+    const words = Summarizer.countWords(sentences.map(sentence => sentence.text).join(' '), result.lang);
+    wordCount.textContent = `${words} words`;
+    compression.textContent = result.originalWords
+      ? `${Math.round((words / result.originalWords) * 100)}% of ${result.originalWords}`
+      : '';
+
+    lastResult = result;
   }
 
-  // Function to send message with timeout
-  function sendMessageWithTimeout(tabId, message, timeout = 5000) {
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error('Message timeout: No response received'));
-      }, timeout);
-
-      chrome.tabs.sendMessage(tabId, message, (response) => {
-        clearTimeout(timeoutId);
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
-        }
+  /**
+   * Renders the per-part summaries of a map-reduce summary as
+   * collapsible entries below the top-level summary.
+   */
+  function renderChunks(result) {
+    chunkList.querySelectorAll('details').forEach(details => details.remove());
+    const hasChunks = Array.isArray(result.chunks);
+    chunkList.classList.toggle('hidden', !hasChunks);
+    if (!hasChunks) return;
+
+    result.chunks.forEach((chunk, c) => {
+      const details = document.createElement('details');
+      details.id = `chunk-${c}`;
+      const title = document.createElement('summary');
+      title.textContent = `§${c + 1} ${chunk.heading} (${chunk.totalSentences} sentences)`;
+      details.appendChild(title);
+      const body = document.createElement('p');
+      chunk.sentences.forEach(sentence => body.appendChild(createSentenceElement('span', sentence)));
+      details.appendChild(body);
+      chunkList.appendChild(details);
+    });
+  }
+
+  /**
+   * Expands one part's summary and scrolls the popup to it.
+   */
+  function openChunk(c) {
+    const details = document.getElementById(`chunk-${c}`);
+    if (!details) return;
+    details.open = true;
+    details.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
+  /**
+   * Renders the keyphrases as chips. Clicking a chip highlights the
+   * summary sentences containing it; clicking it again clears it.
+   */
+  function renderKeyphrases(result) {
+    keyphraseList.textContent = '';
+
+    result.keyphrases.forEach(({ phrase, weight }) => {
+      const chip = document.createElement('button');
+      chip.className = 'keyphrase-chip';
+      chip.textContent = phrase;
+      chip.title = `Weight: ${weight.toFixed(2)}`;
+      chip.addEventListener('click', () => {
+        const active = !chip.classList.contains('active');
+        keyphraseList.querySelectorAll('.keyphrase-chip')
+          .forEach(other => other.classList.remove('active'));
+        chip.classList.toggle('active', active);
+        summaryText.querySelectorAll('.summary-sentence').forEach(element => {
+          const sentence = result.sentences.find(item => String(item.index) === element.dataset.index);
+          const matches = active && Summarizer.containsPhrase(sentence.text, phrase, result.lang);
+          element.classList.toggle('highlighted', matches);
+        });
       });
+      keyphraseList.appendChild(chip);
     });
   }
 
-  // Handle the "Summarize" button click with improved error handling
-  summarizeBtn.addEventListener('click', async function() {
-    // Show loader, hide summary/error
+  /**
+   * Reads the length controls into a `{ mode, value }` setting.
+   */
+  function getLengthSetting() {
+    const mode = lengthModeSelect.value;
+    if (mode === 'sentences') {
+      return { mode, value: parseInt(sentenceCountSelect.value) || 5 };
+    }
+    return { mode, value: parseFloat(lengthValueInput.value) || LENGTH_DEFAULTS[mode] };
+  }
+
+  // Show the input that matches the selected length mode
+  lengthModeSelect.addEventListener('change', function() {
+    const mode = lengthModeSelect.value;
+    sentenceCountSelect.classList.toggle('hidden', mode !== 'sentences');
+    lengthValueInput.classList.toggle('hidden', !LENGTH_DEFAULTS[mode]);
+    if (LENGTH_DEFAULTS[mode]) {
+      lengthValueInput.value = LENGTH_DEFAULTS[mode];
+      lengthValueInput.max = mode === 'percent' ? 100 : '';
+    }
+  });
+
+  /**
+   * Highlights the current summary sentences on the page, or clears
+   * the highlights, following the "Show on page" toggle.
+   */
+  async function syncPageHighlights() {
+    if (!lastResult || lastTabId === null) return;
+    try {
+      if (showOnPageToggle.checked) {
+        const sentences = lastResult.sentences.map(sentence => sentence.source);
+        await ContentInjection.sendMessage(lastTabId, { action: 'highlightSentences', sentences }, { timeout: MESSAGE_TIMEOUT_MS });
+      } else {
+        await ContentInjection.sendMessage(lastTabId, { action: 'clearHighlights' }, { timeout: MESSAGE_TIMEOUT_MS });
+      }
+    } catch (err) {
+      console.log('Highlight error:', err.message);
+    }
+  }
+
+  /**
+   * Scrolls the summarized tab to one of the summary sentences.
+   */
+  async function scrollToSentence(sentence) {
+    if (!lastResult || lastTabId === null) return;
+    try {
+      await ContentInjection.sendMessage(lastTabId, {
+        action: 'scrollToSentence',
+        sentence: sentence.source,
+        position: lastResult.sentences.indexOf(sentence)
+      }, { timeout: MESSAGE_TIMEOUT_MS });
+    } catch (err) {
+      console.log('Scroll error:', err.message);
+    }
+  }
+
+  showOnPageToggle.addEventListener('change', syncPageHighlights);
+
+  /**
+   * Reads the LLM endpoint settings from the form.
+   */
+  function getLlmSettings() {
+    return {
+      endpoint: llmEndpointInput.value.trim() || SummaryProviders.LLM_DEFAULTS.endpoint,
+      model: llmModelInput.value.trim() || SummaryProviders.LLM_DEFAULTS.model,
+      apiKey: llmApiKeyInput.value.trim()
+    };
+  }
+
+  // Restore the saved summarizer choice and LLM settings
+  chrome.storage.local.get(['provider', 'llmSettings'], function(stored) {
+    const settings = stored.llmSettings || {};
+    llmEndpointInput.value = settings.endpoint || '';
+    llmModelInput.value = settings.model || '';
+    llmApiKeyInput.value = settings.apiKey || '';
+    if (stored.provider) providerSelect.value = stored.provider;
+    apiSettings.classList.toggle('hidden', providerSelect.value !== 'llm');
+  });
+
+  providerSelect.addEventListener('change', function() {
+    apiSettings.classList.toggle('hidden', providerSelect.value !== 'llm');
+    chrome.storage.local.set({ provider: providerSelect.value });
+  });
+
+  // Saving asks for access to the endpoint's origin: without it, requests
+  // to the endpoint only work if the server allows cross-origin calls
+  saveLlmSettingsBtn.addEventListener('click', async function() {
+    const settings = getLlmSettings();
+    const granted = await ContentInjection.requestSiteAccess(settings.endpoint).catch(() => false);
+    chrome.storage.local.set({ llmSettings: settings }, function() {
+      saveLlmSettingsBtn.textContent = granted ? 'Saved!' : 'Saved, without endpoint access';
+      setTimeout(() => {
+        saveLlmSettingsBtn.textContent = 'Save Settings';
+      }, 2000);
+    });
+  });
+
+  /**
+   * Shows the loader with a progress note, hiding summary and error.
+   */
+  function showLoading(note) {
+    loader.querySelector('p').textContent = note;
     loader.classList.remove('hidden');
     summaryContainer.classList.add('hidden');
     error.classList.add('hidden');
+  }
 
-    try {
-      // Get the active tab
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      
-      if (!tab) {
-        throw new Error('No active tab found');
-      }
+  /**
+   * Shows an error, rewording the common extraction failures.
+   */
+  function showError(message) {
+    loader.classList.add('hidden');
+    error.classList.remove('hidden');
 
-      // Check if we can inject scripts into this tab
-      if (!tab.url || !tab.url.startsWith('http')) {
-        throw new Error('Cannot summarize this page. Extension only works on web pages.');
-      }
+    let errorMessage;
+    if (message.includes('Cannot access contents of url')) {
+      errorMessage = 'Cannot access this page. Try opening a regular webpage.';
+    } else if (message.includes('Message timeout')) {
+      errorMessage = 'Page took too long to respond. Please refresh and try again.';
+    } else if (message.includes('Receiving end does not exist')) {
+      errorMessage = 'Please refresh the page and try again.';
+    } else {
+      errorMessage = message || 'An unexpected error occurred. Please try again.';
+    }
+    error.querySelector('p').textContent = errorMessage;
+  }
 
-      // Try to inject the content scripts
-      const injected = await injectContentScripts(tab.id);
-      if (!injected) {
-        console.log('Using existing content scripts...');
-      }
+  /**
+   * Describes a job/progress message for the loader.
+   */
+  function describeProgress(progress) {
+    if (progress.stage === 'extracting') return 'Extracting content...';
+    if (progress.stage === 'summarizing' && progress.total > 1) {
+      return `Summarizing part ${progress.done} of ${progress.total}...`;
+    }
+    if (progress.stage === 'summarizing') return 'Generating summary...';
+    return 'Starting...';
+  }
 
-      // Wait a moment for scripts to initialize
-      await new Promise(resolve => setTimeout(resolve, 100));
+  /**
+   * Renders a finished job's summary.
+   */
+  function showJobResult(result, page, tabId) {
+    loader.classList.add('hidden');
+    if (!result.text || result.text.trim().length === 0) {
+      showError('No meaningful summary could be generated. The content might be too short or not in a readable format.');
+      return;
+    }
 
-      // Send message to content script with timeout
-      const response = await sendMessageWithTimeout(tab.id, { action: "extractContent" });
-      
-      if (!response) {
-        throw new Error('Failed to get response from page. Please refresh and try again.');
-      }
+    const statusIndicator = document.getElementById('status-indicator');
+    if (statusIndicator && result.fallback) {
+      statusIndicator.textContent = `LLM unavailable (${result.error}), showing extractive summary.`;
+      statusIndicator.classList.remove('hidden', 'success');
+      statusIndicator.classList.add('error');
+    }
 
-      if (!response.content || response.content.length < 50) {
-        throw new Error('Could not extract meaningful content from this page. The page might be empty or still loading.');
-      }
+    // Display summary
+    lastTabId = tabId;
+    renderPageMeta(page || {}, result);
+    renderExtractionInfo(page && page.diagnostics);
+    renderSummary(result);
+    renderKeyphrases(result);
+    renderChunks(result);
+    syncPageHighlights();
+    rememberSummary();
 
-      // Status indicator update
+    // Show the summary container
+    summaryContainer.classList.remove('hidden');
+  }
+
+  /**
+   * Reads the summary settings from the form.
+   */
+  function getSummaryOptions() {
+    return {
+      length: getLengthSetting(),
+      algorithm: document.getElementById('algorithm').value,
+      diversity: parseFloat(document.getElementById('diversity').value) || 0,
+      query: document.getElementById('query').value.trim(),
+      dangling: document.getElementById('dangling').value,
+      faithful: document.getElementById('faithful').checked,
+      hierarchical: document.getElementById('hierarchical').checked,
+      llm: getLlmSettings()
+    };
+  }
+
+  /**
+   * Starts a background job summarizing a tab. Its progress and
+   * result arrive as protocol messages, see the listener below. Used
+   * by the summarize button and, in the side panel, whenever the
+   * active tab changes.
+   */
+  async function summarizeTab(tab) {
+    if (!tab) {
+      showError('No active tab found');
+      return;
+    }
+    const jobId = MessageProtocol.newJobId();
+    currentJobId = jobId;
+    showLoading('Starting...');
+
+    try {
+      const reply = await chrome.runtime.sendMessage(MessageProtocol.create(TYPES.JOB_START, {
+        jobId,
+        kind: 'page',
+        tabId: tab.id,
+        source: isSidePanel ? 'sidepanel' : 'popup',
+        provider: providerSelect.value,
+        options: getSummaryOptions()
+      }));
+      if (!reply || reply.error) throw new Error(reply ? reply.error : 'The background worker did not answer');
+    } catch (err) {
+      if (currentJobId !== jobId) return;
+      console.error('Error:', err);
+      showError(err.message);
+    }
+  }
+
+  /**
+   * Shows the tab's latest page job when it's still running, or when
+   * it finished on the page the tab still shows. Resolves to whether
+   * there was one to show.
+   */
+  async function restoreJob(tab) {
+    if (!tab) return false;
+    const reply = await chrome.runtime.sendMessage(MessageProtocol.create(TYPES.JOB_STATUS, { tabId: tab.id }));
+    const job = reply && reply.job;
+    if (!job || (job.url && job.url !== tab.url)) return false;
+
+    if (job.state === 'running') {
+      currentJobId = job.jobId;
+      showLoading(describeProgress(job));
+      return true;
+    }
+    if (job.state === 'done') {
+      currentJobId = job.jobId;
+      showJobResult(job.result, job.page, job.tabId);
+      return true;
+    }
+    return false;
+  }
+
+  // Progress and results of the job this page is showing
+  chrome.runtime.onMessage.addListener(function(message) {
+    if (!MessageProtocol.isProtocolMessage(message) || MessageProtocol.validate(message)) return;
+    if (!message.jobId || message.jobId !== currentJobId) return;
+
+    if (message.type === TYPES.JOB_PROGRESS) {
+      showLoading(describeProgress(message));
       const statusIndicator = document.getElementById('status-indicator');
-      if (statusIndicator) {
+      if (statusIndicator && message.stage === 'summarizing') {
         statusIndicator.textContent = 'Content extracted!';
-        statusIndicator.classList.remove('hidden');
+        statusIndicator.classList.remove('hidden', 'error');
         statusIndicator.classList.add('success');
       }
+    } else if (message.type === TYPES.JOB_RESULT) {
+      showJobResult(message.result, message.page, message.tabId);
+    } else if (message.type === TYPES.JOB_ERROR) {
+      if (message.cancelled) {
+        loader.classList.add('hidden');
+      } else {
+        console.error('Error:', message.error);
+        showError(message.error);
+      }
+    }
+  });
 
-      // Get the selected summary length
-      const sentenceCount = parseInt(document.getElementById('sentence-count').value) || 5;
-      const summary = extractiveSummarize(response.content, sentenceCount);
+  // Stop the running job; it also stops if the page is closed
+  cancelBtn.addEventListener('click', function() {
+    if (!currentJobId) return;
+    chrome.runtime.sendMessage(MessageProtocol.create(TYPES.JOB_CANCEL, { jobId: currentJobId }));
+    currentJobId = null;
+    loader.classList.add('hidden');
+  });
 
-      // Hide loader
-      loader.classList.add('hidden');
+  // Tab waiting for the user to allow access to its site
+  let siteAccessTab = null;
 
-      if (!summary || summary.trim().length === 0) {
-        throw new Error('No meaningful summary could be generated. The content might be too short or not in a readable format.');
-      }
+  /**
+   * Checks that the side panel may read the tab's site. Unlike the
+   * popup, it gets no `activeTab` grant, so it needs the site's
+   * optional host permission; without it, the panel offers to ask
+   * for it. The `tabs` permission tells it the tab's URL before
+   * access is granted. Resolves to whether the tab can be summarized.
+   */
+  async function checkSiteAccess(tab) {
+    siteAccess.classList.add('hidden');
+    if (!tab || !ContentInjection.sitePattern(tab.url)) return true;
+    if (await ContentInjection.hasSiteAccess(tab.url)) return true;
+
+    siteAccessTab = tab;
+    siteAccessHost.textContent = new URL(tab.url).host;
+    loader.classList.add('hidden');
+    summaryContainer.classList.add('hidden');
+    error.classList.add('hidden');
+    siteAccess.classList.remove('hidden');
+    return false;
+  }
+
+  /**
+   * Summarizes the tab, first checking site access in the side panel.
+   */
+  async function summarizeAllowedTab(tab) {
+    if (isSidePanel && !(await checkSiteAccess(tab))) return;
+    summarizeTab(tab);
+  }
+
+  // Handle the "Summarize" button click
+  summarizeBtn.addEventListener('click', async function() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    summarizeAllowedTab(tab);
+  });
+
+  /**
+   * Shows the tab's kept summary or running job, or else starts one.
+   */
+  function showOrSummarize(tab) {
+    restoreJob(tab)
+      .catch(() => false)
+      .then(shown => shown || summarizeAllowedTab(tab));
+  }
+
+  if (isSidePanel) {
+    // Follow the active tab of this window: re-summarize when the user
+    // switches tabs or the current tab finishes loading a new page
+    chrome.windows.getCurrent(function(currentWindow) {
+      chrome.tabs.onActivated.addListener(function(activeInfo) {
+        if (activeInfo.windowId !== currentWindow.id) return;
+        chrome.tabs.get(activeInfo.tabId, showOrSummarize);
+      });
+      chrome.tabs.onUpdated.addListener(function(tabId, changeInfo, tab) {
+        if (changeInfo.status !== 'complete' || !tab.active || tab.windowId !== currentWindow.id) return;
+        summarizeAllowedTab(tab);
+      });
+      chrome.tabs.query({ active: true, windowId: currentWindow.id }, ([tab]) => showOrSummarize(tab));
+    });
 
-      // Display summary
-      summaryText.textContent = summary;
+    grantSiteAccessBtn.addEventListener('click', async function() {
+      const tab = siteAccessTab;
+      if (!tab || !(await ContentInjection.requestSiteAccess(tab.url))) return;
+      siteAccess.classList.add('hidden');
+      summarizeTab(tab);
+    });
+  } else {
+    // Pick up a summary that was still running or done when the popup closed
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      restoreJob(tab).catch(err => console.log('Job status error:', err.message));
+    });
+    openSidePanelBtn.addEventListener('click', async function() {
+      const currentWindow = await chrome.windows.getCurrent();
+      await chrome.sidePanel.open({ windowId: currentWindow.id });
+      window.close();
+    });
+  }
 
-      // Show word count
-      const words = summary.split(/\s+/).length;
-      wordCount.textContent = `${words} words`;
+  // Re-render the current summary when the output format changes
+  formatSelect.addEventListener('change', function() {
+    if (lastResult) {
+      renderSummary(lastResult);
+      keyphraseList.querySelectorAll('.keyphrase-chip.active')
+        .forEach(chip => chip.classList.remove('active'));
+      rememberSummary();
+    }
+  });
 
-      // Show the summary container
-      summaryContainer.classList.remove('hidden');
+  copyStyleSelect.addEventListener('change', rememberSummary);
 
+  // Open the page's reader view with the current summary pinned on top
+  readerBtn.addEventListener('click', async function() {
+    if (!lastResult || lastTabId === null) return;
+    try {
+      await ContentInjection.sendMessage(lastTabId, { action: 'toggleReaderView', summary: lastResult.text }, {
+        timeout: MESSAGE_TIMEOUT_MS
+      });
+      if (!isSidePanel) window.close();
     } catch (err) {
-      console.error('Error:', err);
-      loader.classList.add('hidden');
-      error.classList.remove('hidden');
-      
-      // Handle different types of errors
-      let errorMessage;
-      if (err.message.includes('Cannot access contents of url')) {
-        errorMessage = 'Cannot access this page. Try opening a regular webpage.';
-      } else if (err.message.includes('Message timeout')) {
-        errorMessage = 'Page took too long to respond. Please refresh and try again.';
-      } else if (err.message.includes('Receiving end does not exist')) {
-        errorMessage = 'Please refresh the page and try again.';
-      } else {
-        errorMessage = err.message || 'An unexpected error occurred. Please try again.';
+      console.log('Reader view error:', err.message);
+    }
+  });
+
+  // Outline the element the content came from, or remove the outline
+  outlineBtn.addEventListener('click', async function() {
+    if (!lastDiagnostics || lastTabId === null) return;
+    const show = outlineBtn.textContent !== 'Remove Outline';
+    try {
+      const response = await ContentInjection.sendMessage(lastTabId, {
+        action: 'outlineElement',
+        elementPath: lastDiagnostics.elementPath,
+        show
+      }, { timeout: MESSAGE_TIMEOUT_MS });
+      if (show && !(response && response.outlined)) {
+        outlineBtn.textContent = 'Element No Longer on Page';
+        return;
       }
-      
-      error.querySelector('p').textContent = errorMessage;
+      outlineBtn.textContent = show ? 'Remove Outline' : 'Outline on Page';
+    } catch (err) {
+      console.log('Outline error:', err.message);
     }
   });
 
   // Handle the "Copy Summary" button click.
   copyBtn.addEventListener('click', function() {
-    navigator.clipboard.writeText(summaryText.textContent)
+    if (!lastResult) return;
+    const text = SummaryFormats.format(lastResult, formatSelect.value, copyStyleSelect.value);
+    navigator.clipboard.writeText(text)
       .then(() => {
         copyBtn.textContent = 'Copied!';
         setTimeout(() => {
@@ -0,0 +1,113 @@
+/*******************************************************
+ * PROTOCOL.JS
+ *
+ * Message schema between the extension pages (popup, side
+ * panel) and the service worker, which runs summarization
+ * jobs. Every message carries `protocol` and `version`, so
+ * pages and a worker from different versions reject each
+ * other's messages instead of misreading them.
+ * - job/start:    page → worker, starts a job under a
+ *                 `jobId` chosen by the sender, so no
+ *                 progress message can arrive before the
+ *                 sender knows the id.
+ * - job/status:   page → worker, asks for the latest page
+ *                 job of a tab; the reply is its snapshot.
+ * - job/cancel:   page → worker, stops a running job.
+ * - job/progress: worker → pages, the job's current stage.
+ * - job/result:   worker → pages, the finished summary.
+ * - job/error:    worker → pages, the job failed or was
+ *                 cancelled.
+ * Exposes a `MessageProtocol` global, like summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  const PROTOCOL = 'qwikread';
+  const VERSION = 1;
+
+  const TYPES = {
+    JOB_START: 'job/start',
+    JOB_STATUS: 'job/status',
+    JOB_CANCEL: 'job/cancel',
+    JOB_PROGRESS: 'job/progress',
+    JOB_RESULT: 'job/result',
+    JOB_ERROR: 'job/error'
+  };
+
+  // What a job summarizes
+  const JOB_KINDS = ['page', 'selection', 'link'];
+
+  // Stages reported by job/progress, in order
+  const STAGES = ['queued', 'extracting', 'summarizing', 'done'];
+
+  // Required payload fields and their types, per message type
+  const SCHEMAS = {
+    [TYPES.JOB_START]: { jobId: 'string', kind: 'string' },
+    [TYPES.JOB_STATUS]: { tabId: 'number' },
+    [TYPES.JOB_CANCEL]: { jobId: 'string' },
+    [TYPES.JOB_PROGRESS]: { jobId: 'string', stage: 'string' },
+    [TYPES.JOB_RESULT]: { jobId: 'string', result: 'object' },
+    [TYPES.JOB_ERROR]: { jobId: 'string', error: 'string' }
+  };
+
+  /**
+   * Builds a message of the given type around its payload.
+   */
+  function create(type, payload = {}) {
+    return { ...payload, protocol: PROTOCOL, version: VERSION, type };
+  }
+
+  /**
+   * Returns a new unique job id.
+   */
+  function newJobId() {
+    if (global.crypto && global.crypto.randomUUID) return global.crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+  }
+
+  /**
+   * True for messages of this protocol, of any version.
+   */
+  function isProtocolMessage(message) {
+    return Boolean(message) && message.protocol === PROTOCOL;
+  }
+
+  /**
+   * Checks a message against its schema. Returns a description of the
+   * first problem, or null when the message is valid.
+   */
+  function validate(message) {
+    if (!isProtocolMessage(message)) return 'Not a QwikRead protocol message';
+    if (message.version !== VERSION) {
+      return `Unsupported protocol version ${message.version}, expected ${VERSION}`;
+    }
+    const schema = SCHEMAS[message.type];
+    if (!schema) return 'Unknown message type: ' + message.type;
+    for (const [field, type] of Object.entries(schema)) {
+      if (typeof message[field] !== type || message[field] === null) {
+        return `Message ${message.type} needs a ${type} "${field}"`;
+      }
+    }
+    if (message.type === TYPES.JOB_START && !JOB_KINDS.includes(message.kind)) {
+      return 'Unknown job kind: ' + message.kind;
+    }
+    return null;
+  }
+
+  const MessageProtocol = {
+    PROTOCOL,
+    VERSION,
+    TYPES,
+    JOB_KINDS,
+    STAGES,
+    create,
+    newJobId,
+    isProtocolMessage,
+    validate
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = MessageProtocol;
+  } else {
+    global.MessageProtocol = MessageProtocol;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,311 @@
+/*******************************************************
+ * PROVIDERS.JS
+ *
+ * Summarizer backends behind one interface. A provider is
+ * an object `{ id, name, summarize(input, options) }` whose
+ * `summarize` resolves to the same result shape as
+ * Summarizer.summarize(), plus `provider` and `fallback`.
+ * - extractive: the built-in sentence scorer.
+ * - llm: any OpenAI-compatible chat completions endpoint,
+ *   such as a local Ollama or llama.cpp server. Long pages
+ *   are split into token-sized chunks, summarized one by
+ *   one and then combined. If the endpoint fails, the
+ *   extractive provider answers instead.
+ * It depends on segmenter.js, stopwords.js and
+ * summarizer.js, and exposes a `SummaryProviders` global,
+ * like summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  const isModule = typeof module === 'object' && module.exports;
+  const SentenceSegmenter = isModule ? require('./segmenter.js') : global.SentenceSegmenter;
+  const Stopwords = isModule ? require('./stopwords.js') : global.Stopwords;
+  const Summarizer = isModule ? require('./summarizer.js') : global.Summarizer;
+
+  // Prompt placeholders: {{title}}, {{text}}, {{length}}, {{language}}, {{query}}
+  const DEFAULT_PROMPTS = {
+    system: 'You summarize web pages faithfully and concisely. ' +
+      'Only use facts stated in the text. Answer in {{language}}.',
+    chunk: 'Summarize this part of "{{title}}" in {{length}}.{{query}}\n\n{{text}}',
+    combine: 'These are summaries of consecutive parts of "{{title}}". ' +
+      'Combine them into a single summary of {{length}}.{{query}}\n\n{{text}}'
+  };
+
+  const LLM_DEFAULTS = {
+    endpoint: 'http://localhost:11434/v1',
+    model: 'llama3.2',
+    apiKey: '',
+    temperature: 0.2,
+    // Tokens of page text sent per request, leaving room for the prompt
+    // and the answer in a small model's context window
+    chunkTokens: 3000,
+    timeoutMs: 60000,
+    prompts: DEFAULT_PROMPTS
+  };
+
+  const providers = new Map();
+
+  /**
+   * Adds a provider to the registry, replacing one with the same id.
+   */
+  function register(provider) {
+    if (!provider || !provider.id || typeof provider.summarize !== 'function') {
+      throw new Error('A provider needs an id and a summarize() function');
+    }
+    providers.set(provider.id, provider);
+  }
+
+  /**
+   * Returns a registered provider, or throws for an unknown id.
+   */
+  function get(id) {
+    const provider = providers.get(id);
+    if (!provider) throw new Error('Unknown summarizer provider: ' + id);
+    return provider;
+  }
+
+  /**
+   * Lists the registered providers as `{ id, name }`.
+   */
+  function list() {
+    return Array.from(providers.values(), ({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Rough token estimate: about 1.35 tokens per word, which holds for
+   * common BPE vocabularies on English and other European languages.
+   */
+  function estimateTokens(text, locale) {
+    return Math.ceil(Summarizer.countWords(text || '', locale) * 1.35);
+  }
+
+  /**
+   * Splits text into chunks of at most `maxTokens`, breaking between
+   * sentences. A single sentence over the limit becomes its own chunk.
+   */
+  function chunkText(text, maxTokens, locale) {
+    const chunks = [];
+    let current = '';
+    let currentTokens = 0;
+    SentenceSegmenter.split(text || '', { locale }).forEach(sentence => {
+      const tokens = estimateTokens(sentence, locale);
+      if (current && currentTokens + tokens > maxTokens) {
+        chunks.push(current);
+        current = '';
+        currentTokens = 0;
+      }
+      current += (current ? ' ' : '') + sentence;
+      currentTokens += tokens;
+    });
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Fills the {{placeholders}} of a prompt template.
+   */
+  function fillTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+      (values[name] !== undefined ? String(values[name]) : ''));
+  }
+
+  /**
+   * Describes the requested summary length for a prompt.
+   */
+  function describeLength(options, originalWords) {
+    const { numSentences, maxWords } = options.length
+      ? Summarizer.resolveLength(options.length, originalWords)
+      : { numSentences: options.numSentences || 5, maxWords: options.maxWords };
+    return maxWords ? `at most ${maxWords} words` : `about ${numSentences} sentences`;
+  }
+
+  /**
+   * Sends one chat completion request and returns the answer text.
+   * An aborted `signal` cancels the request.
+   */
+  async function complete(settings, system, prompt, signal) {
+    if (signal && signal.aborted) throw new Error('Summary cancelled');
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), settings.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+    try {
+      const response = await fetch(settings.endpoint.replace(/\/+$/, '') + '/chat/completions', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: settings.model,
+          temperature: settings.temperature,
+          stream: false,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ]
+        }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`LLM endpoint responded with ${response.status} ${response.statusText}`);
+      }
+      const data = await response.json();
+      const content = data && data.choices && data.choices[0] && data.choices[0].message &&
+        data.choices[0].message.content;
+      if (!content || !content.trim()) {
+        throw new Error('LLM endpoint returned an empty answer');
+      }
+      return content.trim();
+    } catch (err) {
+      if (signal && signal.aborted) throw new Error('Summary cancelled');
+      if (err.name === 'AbortError') {
+        throw new Error('LLM endpoint timeout: no answer within ' + settings.timeoutMs + ' ms');
+      }
+      throw err;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Shapes free text into a Summarizer-style result, so the popup can
+   * render it like an extractive summary.
+   */
+  function toResult(text, input, extra = {}) {
+    const locale = input.lang;
+    const originalWords = Summarizer.countWords(input.content || '', locale);
+    const summaryWords = Summarizer.countWords(text, locale);
+    const sentences = SentenceSegmenter.split(text, { locale })
+      .map((sentence, index) => ({ text: sentence, source: sentence, index, score: 1, factors: {} }));
+    return {
+      text,
+      sentences,
+      keyphrases: Summarizer.extractKeyphrases(Summarizer.splitSentences(input.content || '', { locale }), {
+        locale,
+        stopWords: Stopwords.forLanguage(locale)
+      }),
+      totalSentences: sentences.length,
+      summaryWords,
+      originalWords,
+      compression: originalWords ? summaryWords / originalWords : 0,
+      lang: locale,
+      ...extra
+    };
+  }
+
+  const extractiveProvider = {
+    id: 'extractive',
+    name: 'Extractive (built-in)',
+
+    /**
+     * Runs Summarizer.summarize() on the extracted content, or
+     * Summarizer.summarizeHierarchical() when `options.hierarchical`.
+     */
+    async summarize(input, options = {}) {
+      const summarizeText = options.hierarchical ? Summarizer.summarizeHierarchical : Summarizer.summarize;
+      const result = summarizeText(input.content, {
+        ...options,
+        locale: input.lang,
+        sections: input.sections
+      });
+      return { ...result, provider: 'extractive', fallback: false };
+    }
+  };
+
+  const llmProvider = {
+    id: 'llm',
+    name: 'LLM (OpenAI-compatible endpoint)',
+
+    /**
+     * Summarizes with the configured endpoint, chunking long pages
+     * (map) and combining the chunk summaries (reduce). Falls back to
+     * the extractive provider on any failure except cancellation.
+     *
+     * @param {Object} input   `{ content, title, lang }` from the page.
+     * @param {Object} options Summary options plus `llm` settings, see
+     *   LLM_DEFAULTS, an optional AbortSignal `signal` and an optional
+     *   `onProgress({ done, total })` called after each chunk.
+     * @return {Promise<Object>} A Summarizer-style result with the number
+     *   of chunks sent in `chunkCount`; `chunks` is reserved for the
+     *   per-part summaries of Summarizer.summarizeHierarchical().
+     */
+    async summarize(input, options = {}) {
+      const settings = {
+        ...LLM_DEFAULTS,
+        ...options.llm,
+        prompts: { ...DEFAULT_PROMPTS, ...(options.llm && options.llm.prompts) }
+      };
+      try {
+        const originalWords = Summarizer.countWords(input.content || '', input.lang);
+        const values = {
+          title: input.title || 'this page',
+          language: input.lang ? `the language with code "${input.lang}"` : 'the language of the text',
+          length: describeLength(options, originalWords),
+          query: options.query ? ` Focus on: ${options.query}.` : ''
+        };
+        const system = fillTemplate(settings.prompts.system, values);
+
+        const chunks = chunkText(input.content, settings.chunkTokens, input.lang);
+        if (!chunks.length) throw new Error('Nothing to summarize');
+
+        // Map: one summary per chunk, then reduce until it fits one request
+        let summaries = [];
+        for (const chunk of chunks) {
+          summaries.push(await complete(settings, system, fillTemplate(settings.prompts.chunk, { ...values, text: chunk }), options.signal));
+          if (options.onProgress) options.onProgress({ done: summaries.length, total: chunks.length });
+        }
+        while (summaries.length > 1) {
+          const groups = chunkText(summaries.join('\n\n'), settings.chunkTokens, input.lang);
+          const combined = [];
+          for (const group of groups) {
+            combined.push(await complete(settings, system, fillTemplate(settings.prompts.combine, { ...values, text: group }), options.signal));
+          }
+          // Stop if combining no longer shrinks the list
+          if (combined.length >= summaries.length) {
+            summaries = [combined.join('\n\n')];
+            break;
+          }
+          summaries = combined;
+        }
+
+        return toResult(summaries[0], input, { provider: 'llm', fallback: false, chunkCount: chunks.length });
+      } catch (err) {
+        if (options.signal && options.signal.aborted) throw err;
+        console.log('LLM provider failed, falling back to extractive:', err.message);
+        const result = await extractiveProvider.summarize(input, options);
+        return { ...result, fallback: true, error: err.message };
+      }
+    }
+  };
+
+  register(extractiveProvider);
+  register(llmProvider);
+
+  /**
+   * Summarizes with the provider registered under `id`.
+   */
+  function summarize(id, input, options = {}) {
+    return get(id).summarize(input, options);
+  }
+
+  const SummaryProviders = {
+    DEFAULT_PROMPTS,
+    LLM_DEFAULTS,
+    register,
+    get,
+    list,
+    estimateTokens,
+    chunkText,
+    fillTemplate,
+    complete,
+    summarize
+  };
+
+  if (isModule) {
+    module.exports = SummaryProviders;
+  } else {
+    global.SummaryProviders = SummaryProviders;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,173 @@
+/*******************************************************
+ * SEGMENTER.JS
+ *
+ * Sentence segmentation for the summarizer. It relies on
+ * `Intl.Segmenter` where available (falling back to a
+ * punctuation regex otherwise) and then repairs the splits
+ * that break summaries:
+ * - abbreviations such as "Dr.", "e.g." or "Jan."
+ * - initials and acronyms such as "J. R. R." or "U.S."
+ * - numbering such as "No. 5" or "Fig. 3"
+ * - ellipses and other breaks followed by lowercase text
+ * Works on any script, including CJK full stops (。！？).
+ * Exposes a `SentenceSegmenter` global, like summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  // Abbreviations that are almost never the end of a sentence
+  const ABBREVIATIONS = new Set([
+    // Titles
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'hon',
+    'gen', 'col', 'lt', 'sgt', 'capt', 'cmdr', 'adm', 'gov', 'sen', 'rep', 'pres',
+    // Latin and reference shorthand
+    'e.g', 'i.e', 'cf', 'vs', 'viz', 'al', 'approx', 'ca', 'esp',
+    // Months
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+  ]);
+
+  // Abbreviations that only continue the sentence when a number follows
+  const NUMBER_PREFIXES = new Set([
+    'no', 'nos', 'vol', 'fig', 'figs', 'p', 'pp', 'art', 'sec', 'ch', 'eq'
+  ]);
+
+  // Common sentence openers: after an initial or an acronym they start
+  // a new sentence ("World War I. Then ...", "the U.S. The next day")
+  // rather than continue a name
+  const SENTENCE_OPENERS = new Set([
+    'a', 'an', 'the', 'this', 'that', 'these', 'those', 'there', 'then',
+    'he', 'she', 'it', 'we', 'they', 'i', 'you', 'his', 'her', 'its', 'our', 'their',
+    'in', 'on', 'at', 'by', 'for', 'from', 'with', 'to', 'of', 'after', 'before', 'during', 'since',
+    'and', 'but', 'or', 'so', 'yet', 'if', 'as', 'when', 'while', 'however', 'meanwhile',
+    'later', 'also', 'still', 'today', 'now', 'what', 'who', 'how', 'why',
+    'one', 'some', 'many', 'most', 'all', 'no', 'not'
+  ]);
+
+  // Longest text, in characters, given to Intl.Segmenter at once: its
+  // time grows faster than the length of its input
+  const SLICE_LENGTH = 2000;
+
+  // Cheap places to cut text into slices: after terminal punctuation
+  // and its space, after a CJK full stop, or at a line break
+  const SLICE_BOUNDARY = /[.!?…]["'”’)\]]*\s+|[。！？][」』”’）]*|\n+/gu;
+
+  /**
+   * Cuts text into slices of about SLICE_LENGTH characters at the first
+   * SLICE_BOUNDARY past that length. A cut that turns out to be inside
+   * a sentence, like after "Dr.", is repaired like any other split.
+   */
+  function slices(text) {
+    const parts = [];
+    let start = 0;
+    while (text.length - start > SLICE_LENGTH) {
+      SLICE_BOUNDARY.lastIndex = start + SLICE_LENGTH;
+      const match = SLICE_BOUNDARY.exec(text);
+      if (!match) break;
+      const end = match.index + match[0].length;
+      parts.push(text.slice(start, end));
+      start = end;
+    }
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  /**
+   * Raw segmentation, before any repairs.
+   */
+  function rawSegments(text, locale) {
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+      // Intl.Segmenter never breaks before lowercase, so also break before
+      // names like "iPhone"; isFalseBoundary() undoes it after "e.g."
+      return slices(text)
+        .flatMap(slice => Array.from(segmenter.segment(slice), part => part.segment))
+        .flatMap(segment => segment.split(/(?<=[.!?…]["'”’)\]]*\s+)(?=\p{Ll}+\p{Lu})/u));
+    }
+    // Break after terminal punctuation, closing quotes and the following
+    // space, keeping the space with the sentence like Intl.Segmenter does.
+    // CJK full stops end a sentence even without a space.
+    return text.split(/(?<=[.!?…]+["'”’)\]]*\s+)(?=\S)|(?<=[。！？]+[」』”’）]*)(?=[^\s」』”’）])/u);
+  }
+
+  /**
+   * Returns the last whitespace-delimited token of a segment, without
+   * surrounding punctuation other than inner periods.
+   */
+  function lastToken(segment) {
+    const match = segment.trim().match(/([^\s("'“‘]+)$/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * True when the text opens with an initial ("R.") or a capitalized
+   * word that isn't a common sentence opener, like a name does.
+   */
+  function startsName(text) {
+    if (/^\p{Lu}\./u.test(text)) return true;
+    const word = (text.match(/^\p{Lu}[\p{L}'’-]*/u) || [''])[0];
+    return Boolean(word) && !SENTENCE_OPENERS.has(word.toLowerCase());
+  }
+
+  /**
+   * Decides whether the boundary between `previous` and `next` is a
+   * false split that should be undone.
+   */
+  function isFalseBoundary(previous, next) {
+    const token = lastToken(previous);
+    const upcoming = next.trimStart();
+    if (!token || !upcoming) return false;
+
+    // A sentence never starts in lowercase or with a continuation mark,
+    // though it can start with a name like "iPhone" or "eBay"
+    if (/^[\p{Ll},;:)\]、，]/u.test(upcoming) && !/^\p{Ll}+\p{Lu}/u.test(upcoming)) return true;
+
+    if (!token.endsWith('.')) return false;
+    const word = token.slice(0, -1).toLowerCase();
+
+    if (ABBREVIATIONS.has(word)) return true;
+    if (NUMBER_PREFIXES.has(word) && /^\d/.test(upcoming)) return true;
+
+    // Single initials ("J.") and dotted acronyms ("U.S.", "J.R.R.")
+    // when another initial or a name follows; otherwise they end the
+    // sentence ("born in the U.S. The next day ...")
+    const stem = token.slice(0, -1);
+    if (/^\p{Lu}$/u.test(stem) || /^(?:\p{L}\.)+\p{L}$/u.test(stem)) return startsName(upcoming);
+
+    return false;
+  }
+
+  /**
+   * Splits text into sentences.
+   *
+   * @param {string} text
+   * @param {Object} options
+   *   - locale {string} BCP 47 language tag passed to Intl.Segmenter.
+   * @return {string[]} Trimmed, non-empty sentences.
+   */
+  function split(text, options = {}) {
+    const sentences = [];
+    rawSegments(text || '', options.locale).forEach(segment => {
+      if (!segment.trim()) return;
+      const last = sentences.length - 1;
+      if (last >= 0 && isFalseBoundary(sentences[last], segment)) {
+        sentences[last] += segment;
+      } else {
+        sentences.push(segment);
+      }
+    });
+    return sentences.map(s => s.trim()).filter(Boolean);
+  }
+
+  const SentenceSegmenter = {
+    ABBREVIATIONS,
+    NUMBER_PREFIXES,
+    SENTENCE_OPENERS,
+    isFalseBoundary,
+    split
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SentenceSegmenter;
+  } else {
+    global.SentenceSegmenter = SentenceSegmenter;
+  }
+})(typeof self !== 'undefined' ? self : this);
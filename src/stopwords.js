@@ -0,0 +1,172 @@
+/*******************************************************
+ * STOPWORDS.JS
+ *
+ * Per-language stopword packs and a lightweight offline
+ * language detector for the summarizer:
+ * 1. Pages that declare a language use its pack directly.
+ * 2. Otherwise the script of the text (Cyrillic, Han, ...)
+ *    decides, when it identifies a single language.
+ * 3. Latin-script text is matched against each pack and
+ *    the language with the most stopword hits wins.
+ * Exposes a `Stopwords` global, like summarizer.js.
+ *******************************************************/
+
+(function (global) {
+  const PACKS = {
+    en: [
+      'a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'was', 'were',
+      'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+      'to', 'of', 'in', 'for', 'with', 'on', 'at', 'by', 'from', 'as',
+      'into', 'about', 'this', 'that', 'these', 'those', 'it', 'its',
+      'he', 'she', 'they', 'them', 'his', 'her', 'their', 'we', 'our',
+      'you', 'your', 'i', 'me', 'my', 'which', 'who', 'whom', 'if',
+      'there', 'here', 'what', 'where', 'when', 'how', 'all', 'any',
+      'both', 'each', 'few', 'more', 'most', 'other', 'some', 'such',
+      'no', 'nor', 'not', 'only', 'own', 'same', 'so', 'than', 'too',
+      'very', 'can', 'will', 'would', 'could', 'just', 'should', 'now',
+      'also', 'click', 'page'
+    ],
+    es: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o',
+      'pero', 'de', 'del', 'a', 'al', 'en', 'con', 'por', 'para', 'sin',
+      'sobre', 'entre', 'que', 'es', 'son', 'fue', 'era', 'ser', 'ha',
+      'han', 'hay', 'se', 'su', 'sus', 'lo', 'le', 'les', 'este', 'esta',
+      'estos', 'estas', 'ese', 'esa', 'como', 'más', 'muy', 'ya', 'no',
+      'sí', 'también', 'cuando', 'donde', 'porque', 'si', 'todo', 'todos',
+      'él', 'ella', 'ellos', 'nos', 'mi', 'tu', 'me', 'te', 'está', 'están'
+    ],
+    fr: [
+      'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou',
+      'mais', 'donc', 'car', 'à', 'au', 'aux', 'en', 'dans', 'par', 'pour',
+      'sur', 'avec', 'sans', 'sous', 'entre', 'que', 'qui', 'quoi', 'est',
+      'sont', 'était', 'été', 'être', 'a', 'ont', 'avait', 'ce', 'cet',
+      'cette', 'ces', 'se', 'sa', 'son', 'ses', 'leur', 'leurs', 'il',
+      'elle', 'ils', 'elles', 'nous', 'vous', 'on', 'ne', 'pas', 'plus',
+      'très', 'aussi', 'comme', 'si', 'tout', 'tous', 'y', 'lui', 'je'
+    ],
+    de: [
+      'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einer',
+      'eines', 'einem', 'einen', 'und', 'oder', 'aber', 'in', 'im', 'an',
+      'am', 'auf', 'aus', 'bei', 'mit', 'nach', 'von', 'vom', 'zu', 'zum',
+      'zur', 'für', 'über', 'unter', 'ist', 'sind', 'war', 'waren', 'sein',
+      'hat', 'haben', 'hatte', 'wird', 'werden', 'wurde', 'es', 'er', 'sie',
+      'wir', 'ihr', 'ich', 'sich', 'nicht', 'kein', 'keine', 'auch', 'noch',
+      'nur', 'so', 'wie', 'als', 'wenn', 'dass', 'dieser', 'diese', 'dieses'
+    ],
+    pt: [
+      'o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas', 'e', 'ou', 'mas',
+      'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas', 'com',
+      'por', 'para', 'pelo', 'pela', 'sem', 'sobre', 'entre', 'que', 'é',
+      'são', 'foi', 'era', 'ser', 'está', 'estão', 'tem', 'têm', 'há', 'se',
+      'seu', 'sua', 'seus', 'suas', 'ele', 'ela', 'eles', 'elas', 'este',
+      'esta', 'esse', 'essa', 'isso', 'como', 'mais', 'muito', 'já', 'não',
+      'também', 'quando', 'onde', 'porque', 'ao', 'aos', 'lhe'
+    ],
+    it: [
+      'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'o',
+      'ma', 'di', 'del', 'dello', 'della', 'dei', 'degli', 'delle', 'a',
+      'al', 'alla', 'ai', 'da', 'dal', 'dalla', 'in', 'nel', 'nella', 'con',
+      'su', 'sul', 'sulla', 'per', 'tra', 'fra', 'che', 'è', 'sono', 'era',
+      'erano', 'essere', 'ha', 'hanno', 'aveva', 'si', 'suo', 'sua', 'suoi',
+      'loro', 'lui', 'lei', 'questo', 'questa', 'quello', 'quella', 'come',
+      'più', 'molto', 'già', 'non', 'anche', 'quando', 'dove', 'perché'
+    ],
+    // Words as Intl.Segmenter splits them, so a few common compounds
+    // such as 也是 or 之一 are listed along with their parts
+    zh: [
+      '的', '地', '得', '了', '着', '过', '是', '也是', '就是', '不是', '在',
+      '有', '和', '与', '及', '或', '而', '但', '但是', '也', '都', '就',
+      '又', '还', '并', '把', '被', '对', '从', '到', '向', '为', '以', '于',
+      '之', '之一', '等', '这', '那', '这个', '那个', '这些', '那些', '一个',
+      '其', '他', '她', '它', '他们', '我们', '你', '我', '很', '最', '更',
+      '不', '没有', '因为', '所以', '如果', '虽然', '来', '去', '上', '中', '个'
+    ],
+    // Particles and the auxiliary endings the word breaker splits off
+    ja: [
+      'は', 'が', 'の', 'を', 'に', 'へ', 'と', 'で', 'も', 'や', 'か', 'な',
+      'から', 'まで', 'より', 'など', 'です', 'でし', 'ます', 'まし', 'た',
+      'だ', 'である', 'あり', 'ある', 'あっ', 'いる', 'い', 'てい', 'てお',
+      'する', 'し', 'した', 'され', 'れる', 'られ', 'こと', 'もの', 'ため',
+      'よう', 'これ', 'それ', 'この', 'その', 'あの', 'また', 'さらに'
+    ]
+  };
+
+  // Scripts that identify a single language on their own
+  const SCRIPT_LANGUAGES = [
+    { lang: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+    { lang: 'zh', pattern: /\p{Script=Han}/gu },
+    { lang: 'ko', pattern: /\p{Script=Hangul}/gu },
+    { lang: 'th', pattern: /\p{Script=Thai}/gu },
+    { lang: 'el', pattern: /\p{Script=Greek}/gu },
+    { lang: 'ru', pattern: /\p{Script=Cyrillic}/gu },
+    { lang: 'ar', pattern: /\p{Script=Arabic}/gu },
+    { lang: 'he', pattern: /\p{Script=Hebrew}/gu }
+  ];
+
+  // How much of the text is sampled for detection
+  const SAMPLE_LENGTH = 2000;
+
+  const sets = {};
+
+  /**
+   * Reduces a BCP 47 tag such as "pt-BR" to its primary subtag.
+   */
+  function normalizeLanguage(lang) {
+    return (lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  }
+
+  /**
+   * Returns the stopword set for a language, falling back to English
+   * when no pack exists for it.
+   */
+  function forLanguage(lang) {
+    const code = PACKS[normalizeLanguage(lang)] ? normalizeLanguage(lang) : 'en';
+    if (!sets[code]) sets[code] = new Set(PACKS[code]);
+    return sets[code];
+  }
+
+  /**
+   * Guesses the language of `text` from its script and, for Latin
+   * script, from stopword hits. Returns a primary language subtag, or
+   * undefined when nothing is convincing.
+   */
+  function detectLanguage(text) {
+    const sample = (text || '').slice(0, SAMPLE_LENGTH);
+    const letters = (sample.match(/\p{L}/gu) || []).length;
+    if (!letters) return undefined;
+
+    // Japanese mixes kana with Han, so kana is checked first
+    for (const { lang, pattern } of SCRIPT_LANGUAGES) {
+      const count = (sample.match(pattern) || []).length;
+      if (count / letters > (lang === 'ja' ? 0.1 : 0.3)) return lang;
+    }
+
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    let best;
+    let bestHits = 0;
+    Object.keys(PACKS).forEach(lang => {
+      const pack = forLanguage(lang);
+      const hits = words.filter(word => pack.has(word)).length;
+      if (hits > bestHits) {
+        best = lang;
+        bestHits = hits;
+      }
+    });
+
+    // Require a reasonable share of function words before trusting it
+    return bestHits / (words.length || 1) >= 0.1 ? best : undefined;
+  }
+
+  const Stopwords = {
+    PACKS,
+    normalizeLanguage,
+    forLanguage,
+    detectLanguage
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Stopwords;
+  } else {
+    global.Stopwords = Stopwords;
+  }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,1163 @@
+/*******************************************************
+ * SUMMARIZER.JS
+ *
+ * Extractive summarizer shared by the popup, the content
+ * script and the background service worker. It is a plain
+ * script that exposes a single `Summarizer` global, so it
+ * can be loaded with a <script> tag, listed in
+ * `content_scripts` or pulled in with `importScripts()`.
+ * It depends on segmenter.js and stopwords.js, which must
+ * be loaded first.
+ *
+ * Pipeline:
+ * 1. Split the raw text into sentences and clean each one.
+ * 2. Drop sentences that are too short or look like code,
+ *    references or navigation.
+ * 3. Score every sentence, either on frequency, phrase,
+ *    position, length and diversity ("classic") or by its
+ *    centrality in a sentence-similarity graph ("graph"),
+ *    boosted by relevance to an optional user query.
+ * 4. Extract the top keyphrases (RAKE candidates ranked by
+ *    term frequency) from the same sentences.
+ * 5. Pick the best N sentences (or the best that fit a word
+ *    budget) with Maximal Marginal
+ *    Relevance, so near-duplicates don't crowd each other
+ *    in, and restore their original order. When the text
+ *    comes in sections, N is first shared out between them.
+ * Very long documents can instead be summarized chunk by
+ * chunk, then from the chunk summaries (map-reduce).
+ *******************************************************/
+
+(function (global) {
+  const isModule = typeof module === 'object' && module.exports;
+  const SentenceSegmenter = isModule ? require('./segmenter.js') : global.SentenceSegmenter;
+  const Stopwords = isModule ? require('./stopwords.js') : global.Stopwords;
+
+  // English pack, used when no stopword set is passed in
+  const STOP_WORDS = Stopwords.forLanguage('en');
+
+  // Relative weight of each scoring factor in the final score
+  const DEFAULT_WEIGHTS = {
+    frequency: 0.3,
+    phrase: 0.2,
+    position: 0.2,
+    length: 0.15,
+    diversity: 0.15
+  };
+
+  // Power-iteration settings for the graph (TextRank) scorer
+  const GRAPH_DEFAULTS = {
+    damping: 0.85,
+    maxIterations: 50,
+    tolerance: 1e-4,
+    // Sentences further apart than this are not linked, which keeps
+    // book-length pages from building a graph of every sentence pair
+    window: 200
+  };
+
+  // Scripts written without spaces between words, where short tokens
+  // still carry meaning and sentences have no whitespace to count
+  const SPACELESS_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+  // Bounds of the "auto" length mode, in words
+  const AUTO_LENGTH = {
+    factor: 5,
+    min: 40,
+    max: 400
+  };
+
+  // Citation markers, with the space before them: [12], [3, 4], [5–7],
+  // [a], [note 2], [citation needed]. Other brackets, like [sic] or an
+  // editor's [the company], are part of the sentence.
+  const CITATION_MARKER = /\s*\[(?:\d{1,4}(?:\s*[,–-]\s*\d{1,4})*|[a-z]|(?:note|nb) \d{1,4}|[a-z ]{1,30} needed)\]/gi;
+
+  // Sentence openings that refer back to earlier text, per language.
+  // Pronouns can't be removed; connectives can be stripped, except the
+  // `ambiguous` ones, which also open ordinary sentences ("So far",
+  // "Still images") and are stripped only when a comma follows.
+  // Openings matching `nonReferring` start with a pronoun but point
+  // nowhere: "This year ..." names the present, and the expletive "It
+  // is expected to ..." has no antecedent. "That year" does refer back.
+  const DANGLING_STARTS = {
+    en: {
+      pronouns: [
+        'he', 'she', 'it', 'they', 'him', 'her', 'them', 'his', 'its', 'their',
+        'this', 'that', 'these', 'those', 'such', 'both', 'the latter', 'the former'
+      ],
+      connectives: [
+        'however', 'moreover', 'furthermore', 'therefore', 'thus', 'hence',
+        'also', 'additionally', 'in addition', 'besides', 'meanwhile',
+        'nevertheless', 'nonetheless', 'consequently', 'as a result',
+        'on the other hand', 'instead', 'still', 'yet', 'then', 'but', 'and',
+        'so', 'otherwise', 'similarly', 'likewise', 'in contrast', 'by contrast',
+        'for example', 'for instance', 'in fact', 'indeed', 'finally', 'again'
+      ],
+      ambiguous: ['so', 'still', 'then', 'yet'],
+      nonReferring: [
+        /^(?:this|these) (?:time|days?|weeks?|weekends?|months?|years?|morning|afternoon|evening|spring|summer|fall|autumn|winter|season|quarter|decade|century)\b/,
+        /^it (?:is|was|will be|would be|has been|had been|may be|might be|can be|could be|seems|seemed|appears|appeared)(?: (?!an? |the )\p{L}+){0,2}? (?:to|that)\b/u
+      ]
+    }
+  };
+
+  // Chunking of the map-reduce mode, see summarizeHierarchical()
+  const HIERARCHY_DEFAULTS = {
+    chunkSentences: 30,
+    chunkSummarySentences: 3
+  };
+
+  // One Intl.Segmenter per locale, created on first use
+  const wordSegmenters = new Map();
+
+  const DEFAULT_OPTIONS = {
+    numSentences: 5,
+    algorithm: 'classic',
+    // Trade-off between relevance (0) and novelty (1) when selecting
+    diversity: 0.3,
+    // Extra score multiplier for a sentence matching every query term
+    queryWeight: 2,
+    // How many keyphrases to return (clamped to 5..15)
+    numKeyphrases: 10,
+    // Longest keyphrase, in words
+    maxPhraseWords: 3,
+    // Word budget; when set it replaces numSentences
+    maxWords: 0,
+    // Handling of sentences that open with a pronoun or connective:
+    // 'penalize', 'context' (add the preceding sentence), 'strip'
+    // (drop the connective, penalize pronouns) or 'off'
+    dangling: 'penalize',
+    // Show selected sentences as written in the page (minus citation
+    // markers) instead of their cleaned scoring text
+    faithful: false,
+    // Share of the score a penalized dangling sentence loses
+    danglingPenalty: 0.5,
+    weights: DEFAULT_WEIGHTS
+  };
+
+  /**
+   * Removes citations, footnote lines and URLs, and normalizes
+   * whitespace, without touching sentence punctuation.
+   */
+  function stripNoise(text) {
+    return stripCitations(text)
+      .replace(/\[[^\]]*\]/g, '') // Remove any other bracketed notes
+      .replace(/https?:\/\/\S+/g, '') // Remove URLs
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .trim();
+  }
+
+  /**
+   * Removes only citation markers such as [12], [3–5], [a] or
+   * [citation needed] and reference lines starting with ^, leaving
+   * the rest of the text exactly as written.
+   */
+  function stripCitations(text) {
+    return text
+      .replace(/^\s*\^.*$/gm, '') // Remove lines starting with ^
+      .replace(CITATION_MARKER, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Strips citations, URLs, parentheticals and special characters,
+   * keeping only letters and digits of any script, whitespace and
+   * sentence endings (including the CJK full stops).
+   */
+  function cleanText(text) {
+    return stripNoise(text)
+      .replace(/[(（].*?[)）]/gu, '') // Remove parenthetical content
+      .replace(/[^\p{L}\p{M}\p{N}\s.!?…。！？]/gu, '') // Remove special characters except sentence endings
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Splits raw text into `{ text, source }` pairs, where `text` is the
+   * cleaned sentence used for scoring and `source` the sentence as it
+   * reads in the original (minus citation markers), shown in faithful
+   * mode and used to find it again on the page. Segmentation runs
+   * before cleaning so abbreviations, decimals and quoted endings are
+   * still visible to the segmenter.
+   */
+  function segmentSentences(text, options = {}) {
+    return SentenceSegmenter.split(stripCitations(text), options)
+      .map(source => ({ text: cleanText(source), source }))
+      .filter(sentence => sentence.text);
+  }
+
+  /**
+   * Splits raw text into cleaned sentences.
+   */
+  function splitSentences(text, options = {}) {
+    return segmentSentences(text, options).map(sentence => sentence.text);
+  }
+
+  /**
+   * Returns false for sentences that are too short or look like code,
+   * references or navigation.
+   */
+  function isValidSentence(s, locale) {
+    // Remove sentences that are too short
+    if (tokenize(s, locale).length < 4) return false;
+    if (s.length < (SPACELESS_SCRIPT.test(s) ? 10 : 20)) return false;
+
+    // Remove likely code snippets
+    if (s.includes('import ') || s.includes('def ') || s.includes('= ') || s.includes('{') || s.includes('}')) return false;
+
+    // Remove reference-like sentences
+    if (s.startsWith('^') || s.startsWith('http') || /^\s*\d+\.\s*/.test(s)) return false;
+
+    // Remove navigation-like content
+    if (s.toLowerCase().includes('click here') || s.toLowerCase().includes('next page')) return false;
+
+    return true;
+  }
+
+  /**
+   * Lowercases a sentence and splits it into word tokens. Uses the
+   * Intl.Segmenter word breaker so scripts without spaces are split
+   * into words; without it, each CJK or Thai character is a token.
+   */
+  function tokenize(sentence, locale) {
+    const lower = sentence.toLowerCase();
+    if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+      const key = locale || '';
+      if (!wordSegmenters.has(key)) {
+        wordSegmenters.set(key, new Intl.Segmenter(locale, { granularity: 'word' }));
+      }
+      // Keep only the words: every segment object holds on to the input
+      const words = [];
+      for (const part of wordSegmenters.get(key).segment(lower)) {
+        if (part.isWordLike) words.push(part.segment);
+      }
+      return words;
+    }
+    return lower.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]|[\p{L}\p{M}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Counts the words in a piece of text, in any script. The text is
+   * counted a sentence at a time: segmenting a whole page at once
+   * takes time that grows with the square of its length.
+   */
+  function countWords(text, locale) {
+    return SentenceSegmenter.split(text || '', { locale })
+      .reduce((sum, sentence) => sum + tokenize(sentence, locale).length, 0);
+  }
+
+  /**
+   * Words shorter than three characters are ignored when counting
+   * frequencies, except in scripts where short words are the norm.
+   */
+  function isSignificantWord(word) {
+    return word.length > 2 || SPACELESS_SCRIPT.test(word) || /\p{Script=Hangul}/u.test(word);
+  }
+
+  /**
+   * Builds the word and bigram frequency maps for a list of tokenized
+   * sentences. Stop words and insignificant short words are not
+   * counted.
+   */
+  function buildFrequencies(tokenizedSentences, stopWords = STOP_WORDS) {
+    const wordFreq = {};
+    const phraseFreq = {};
+    tokenizedSentences.forEach(words => {
+      words.forEach(word => {
+        if (!stopWords.has(word) && isSignificantWord(word)) {
+          wordFreq[word] = (wordFreq[word] || 0) + 1;
+        }
+      });
+
+      for (let i = 0; i < words.length - 1; i++) {
+        if (!stopWords.has(words[i]) && !stopWords.has(words[i + 1])) {
+          const phrase = words[i] + ' ' + words[i + 1];
+          phraseFreq[phrase] = (phraseFreq[phrase] || 0) + 1;
+        }
+      }
+    });
+    return { wordFreq, phraseFreq };
+  }
+
+  /**
+   * Average document frequency of the sentence's content words.
+   */
+  function frequencyScore(words, wordFreq, stopWords = STOP_WORDS) {
+    const contentWords = words.filter(word => !stopWords.has(word));
+    const total = contentWords.reduce((score, word) => score + (wordFreq[word] || 0), 0);
+    return total / (contentWords.length || 1);
+  }
+
+  /**
+   * Sum of bigram frequencies, normalized by sentence length.
+   */
+  function phraseScore(words, phraseFreq) {
+    let total = 0;
+    for (let i = 0; i < words.length - 1; i++) {
+      total += phraseFreq[words[i] + ' ' + words[i + 1]] || 0;
+    }
+    return total / (words.length || 1);
+  }
+
+  /**
+   * Favors the opening and closing fifth of the text, fading towards
+   * the middle.
+   */
+  function positionScore(index, total) {
+    if (index < total * 0.2) {
+      return 1 - (index / (total * 0.2)); // Beginning bonus
+    }
+    if (index > total * 0.8) {
+      return (index - total * 0.8) / (total * 0.2); // End bonus
+    }
+    return 0.2; // Middle sentences get less weight
+  }
+
+  /**
+   * Prefers sentences of around 20 words.
+   */
+  function lengthScore(words) {
+    return Math.exp(-(Math.abs(words.length - 20) / 20));
+  }
+
+  /**
+   * Share of unique content words in the sentence.
+   */
+  function diversityScore(words, stopWords = STOP_WORDS) {
+    const uniqueWords = new Set(words.filter(word => !stopWords.has(word))).size;
+    return uniqueWords / (words.length || 1);
+  }
+
+  /**
+   * Combines the individual factors into a single weighted score.
+   */
+  function combineScores(factors, weights = DEFAULT_WEIGHTS) {
+    return Object.keys(weights)
+      .reduce((score, name) => score + (factors[name] || 0) * weights[name], 0);
+  }
+
+  /**
+   * Scores sentences in isolation using the weighted classic factors.
+   */
+  function scoreClassic(sentences, tokenized, options) {
+    const { stopWords, weights } = options;
+    const { wordFreq, phraseFreq } = buildFrequencies(tokenized, stopWords);
+
+    return sentences.map((sentence, index) => {
+      const words = tokenized[index];
+      const factors = {
+        frequency: frequencyScore(words, wordFreq, stopWords),
+        phrase: phraseScore(words, phraseFreq),
+        position: positionScore(index, sentences.length),
+        length: lengthScore(words),
+        diversity: diversityScore(words, stopWords)
+      };
+      return {
+        text: sentence,
+        index,
+        score: combineScores(factors, weights),
+        factors
+      };
+    });
+  }
+
+  /**
+   * TextRank similarity: shared content words normalized by the log of
+   * both sentence lengths, so long sentences don't win by size alone.
+   */
+  function sentenceSimilarity(wordsA, wordsB, stopWords = STOP_WORDS) {
+    const setA = new Set(wordsA.filter(word => !stopWords.has(word)));
+    const setB = new Set(wordsB.filter(word => !stopWords.has(word)));
+    let overlap = 0;
+    setA.forEach(word => {
+      if (setB.has(word)) overlap++;
+    });
+    return similarityWeight(overlap, setA.size, setB.size);
+  }
+
+  /**
+   * The sentenceSimilarity() of two sentences with `overlap` shared
+   * content words out of `sizeA` and `sizeB`.
+   */
+  function similarityWeight(overlap, sizeA, sizeB) {
+    if (!overlap || sizeA < 2 || sizeB < 2) return 0;
+    return overlap / (Math.log(sizeA) + Math.log(sizeB));
+  }
+
+  /**
+   * Links sentences that share content words, within `window`
+   * sentences of each other. Returns one adjacency list of
+   * `[neighbor, weight]` pairs per sentence; only sentence pairs that
+   * share a word are ever compared, through an index of the sentences
+   * each word appears in.
+   */
+  function similarityGraph(tokenized, stopWords, window) {
+    const sets = tokenized.map(words => new Set(words.filter(word => !stopWords.has(word))));
+    const postings = new Map();
+    sets.forEach((set, i) => set.forEach(word => {
+      if (!postings.has(word)) postings.set(word, []);
+      postings.get(word).push(i);
+    }));
+
+    const adjacency = sets.map(() => []);
+    // Where each word's posting list reaches the current sentence
+    const cursors = new Map();
+    sets.forEach((set, i) => {
+      const overlaps = new Map();
+      set.forEach(word => {
+        const list = postings.get(word);
+        const at = cursors.get(word) || 0;
+        cursors.set(word, at + 1);
+        for (let k = at + 1; k < list.length && list[k] - i <= window; k++) {
+          overlaps.set(list[k], (overlaps.get(list[k]) || 0) + 1);
+        }
+      });
+      overlaps.forEach((overlap, j) => {
+        const weight = similarityWeight(overlap, set.size, sets[j].size);
+        if (!weight) return;
+        adjacency[i].push([j, weight]);
+        adjacency[j].push([i, weight]);
+      });
+    });
+    return adjacency;
+  }
+
+  /**
+   * Ranks sentences by centrality with weighted PageRank over the
+   * sentence-similarity graph. Returns one score per sentence,
+   * normalized so the most central sentence scores 1.
+   */
+  function graphCentrality(tokenized, stopWords = STOP_WORDS, settings = {}) {
+    const { damping, maxIterations, tolerance, window } = { ...GRAPH_DEFAULTS, ...settings };
+    const n = tokenized.length;
+    if (n === 0) return [];
+
+    // The graph is symmetric, so each list holds incoming and outgoing edges
+    const adjacency = similarityGraph(tokenized, stopWords, window);
+    const outWeight = adjacency.map(edges => edges.reduce((sum, [, weight]) => sum + weight, 0));
+
+    let ranks = new Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const next = adjacency.map(edges => {
+        let incoming = 0;
+        for (const [j, weight] of edges) incoming += (weight / outWeight[j]) * ranks[j];
+        return (1 - damping) / n + damping * incoming;
+      });
+      const delta = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+      ranks = next;
+      if (delta < tolerance) break;
+    }
+
+    const max = Math.max(...ranks) || 1;
+    return ranks.map(rank => rank / max);
+  }
+
+  /**
+   * Scores sentences by their centrality in the similarity graph.
+   */
+  function scoreGraph(sentences, tokenized, options) {
+    const centrality = graphCentrality(tokenized, options.stopWords, options.graph);
+    return sentences.map((sentence, index) => ({
+      text: sentence,
+      index,
+      score: centrality[index],
+      factors: { centrality: centrality[index] }
+    }));
+  }
+
+  /**
+   * Loose term match: equal words, or words sharing a long enough
+   * prefix to count as inflections ("price" and "pricing").
+   */
+  function termsMatch(word, term) {
+    if (word === term) return true;
+    const shorter = Math.min(word.length, term.length);
+    if (shorter < 4) return false;
+    let prefix = 0;
+    while (prefix < shorter && word[prefix] === term[prefix]) prefix++;
+    return prefix >= Math.max(4, shorter - 2);
+  }
+
+  /**
+   * Turns a free-text query into its unique content terms.
+   */
+  function queryTerms(query, stopWords = STOP_WORDS, locale) {
+    return [...new Set(tokenize(query || '', locale))].filter(term => !stopWords.has(term));
+  }
+
+  /**
+   * Lexical relevance of a sentence to the query terms: the share of
+   * terms it contains, along with the terms that matched.
+   */
+  function queryRelevance(words, terms) {
+    if (!terms.length) return { score: 0, matched: [] };
+    const matched = terms.filter(term => words.some(word => termsMatch(word, term)));
+    return { score: matched.length / terms.length, matched };
+  }
+
+  /**
+   * Splits each tokenized sentence into RAKE candidates: maximal runs
+   * of content words, broken at stop words and insignificant tokens.
+   * Runs longer than `maxWords` are dropped rather than truncated,
+   * except in scripts without spaces, where the word breaker leaves
+   * long runs of compounds: there they become every window of
+   * `maxWords` words. Lone kana (Japanese particles such as は or の)
+   * break runs too.
+   */
+  function candidatePhrases(tokenizedSentences, stopWords = STOP_WORDS, maxWords = 3) {
+    const candidates = [];
+    tokenizedSentences.forEach(words => {
+      let run = [];
+      const flush = () => {
+        if (run.length <= maxWords) {
+          if (run.length) candidates.push(run);
+        } else if (SPACELESS_SCRIPT.test(run.join(''))) {
+          for (let start = 0; start + maxWords <= run.length; start++) {
+            candidates.push(run.slice(start, start + maxWords));
+          }
+        }
+        run = [];
+      };
+      words.forEach(word => {
+        if (stopWords.has(word) || !isSignificantWord(word) || /^(?:\p{N}+|\p{Script=Hiragana})$/u.test(word)) {
+          flush();
+        } else {
+          run.push(word);
+        }
+      });
+      flush();
+    });
+    return candidates;
+  }
+
+  /**
+   * Keyphrase extraction over RAKE candidates. A phrase scores how
+   * often it occurs times the summed frequency of its words, damped by
+   * the square root of its length, so recurring topics beat one-off
+   * compounds. Phrases contained in a better one are skipped.
+   *
+   * @param {string[]} sentences
+   * @param {Object} options `{ numKeyphrases, maxPhraseWords, stopWords, locale }`.
+   * @return {Object[]} `{ phrase, weight, count }` entries, best first,
+   *   with `weight` scaled so the top phrase is 1.
+   */
+  function extractKeyphrases(sentences, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const limit = Math.min(15, Math.max(5, settings.numKeyphrases));
+    const tokenized = sentences.map(sentence => tokenize(sentence, settings.locale));
+    const candidates = candidatePhrases(tokenized, settings.stopWords, settings.maxPhraseWords);
+
+    const wordFreq = {};
+    const phraseCount = {};
+    candidates.forEach(words => {
+      words.forEach(word => {
+        wordFreq[word] = (wordFreq[word] || 0) + 1;
+      });
+      const phrase = words.join(' ');
+      phraseCount[phrase] = (phraseCount[phrase] || 0) + 1;
+    });
+
+    const ranked = Object.keys(phraseCount)
+      .map(phrase => {
+        const words = phrase.split(' ');
+        const frequency = words.reduce((sum, word) => sum + wordFreq[word], 0);
+        const score = phraseCount[phrase] * frequency / Math.sqrt(words.length);
+        return { phrase, score, count: phraseCount[phrase] };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const chosen = [];
+    for (const entry of ranked) {
+      if (chosen.length >= limit) break;
+      const padded = ' ' + entry.phrase + ' ';
+      if (chosen.some(picked => (' ' + picked.phrase + ' ').includes(padded))) continue;
+      chosen.push(entry);
+    }
+
+    const maxScore = chosen.length ? chosen[0].score : 1;
+    return chosen.map(({ phrase, score, count }) => ({ phrase, weight: score / maxScore, count }));
+  }
+
+  /**
+   * True when the sentence contains the keyphrase as whole words.
+   */
+  function containsPhrase(sentence, phrase, locale) {
+    return (' ' + tokenize(sentence, locale).join(' ') + ' ').includes(' ' + phrase + ' ');
+  }
+
+  /**
+   * Detects a sentence opening that depends on earlier context.
+   * Returns `{ type: 'pronoun' | 'connective', match }` or null, where
+   * `match` is the opening as written. Languages without a lexicon in
+   * DANGLING_STARTS are never flagged, nor are its `nonReferring`
+   * openings.
+   */
+  function danglingStart(sentence, locale) {
+    const lexicon = DANGLING_STARTS[Stopwords.normalizeLanguage(locale) || 'en'];
+    if (!lexicon) return null;
+    const lower = sentence.toLowerCase();
+    if (lexicon.nonReferring.some(pattern => pattern.test(lower))) return null;
+    for (const type of ['connective', 'pronoun']) {
+      const words = type === 'connective' ? lexicon.connectives : lexicon.pronouns;
+      for (const word of words) {
+        if (lower.startsWith(word) && !/[\p{L}\p{N}]/u.test(lower.charAt(word.length))) {
+          return { type, match: sentence.slice(0, word.length) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Removes a leading connective and its comma, capitalizing what
+   * follows: "However, the plan failed." becomes "The plan failed."
+   */
+  function stripConnective(sentence, match) {
+    const rest = sentence.slice(match.length).replace(/^[\s,;:—–-]+/, '');
+    return rest.charAt(0).toLocaleUpperCase() + rest.slice(1);
+  }
+
+  /**
+   * True when the entry opens with a connective that can be stripped.
+   */
+  function canStripConnective(entry, locale) {
+    const { type, match } = entry.dangling || {};
+    if (type !== 'connective') return false;
+    const lexicon = DANGLING_STARTS[Stopwords.normalizeLanguage(locale) || 'en'];
+    if (!lexicon.ambiguous.includes(match.toLowerCase())) return true;
+    // The cleaned text has no commas; look at the sentence as written
+    const written = entry.source || entry.text;
+    return /^\s*,/.test(written.slice(match.length));
+  }
+
+  /**
+   * Applies the `context` and `strip` dangling modes to the selected
+   * entries: prepends the preceding sentence of the source (from the
+   * same section) as context, or strips the leading connective from
+   * the text. `units` are all the valid sentences, by position.
+   */
+  function resolveDangling(selected, scored, settings, units) {
+    if (settings.dangling === 'strip') {
+      return selected.map(entry => (canStripConnective(entry, settings.locale)
+        ? { ...entry, text: stripConnective(entry.text, entry.dangling.match), stripped: entry.dangling.match }
+        : entry));
+    }
+    if (settings.dangling !== 'context') return selected;
+
+    const chosen = new Set(selected.map(entry => entry.index));
+    const context = [];
+    selected.forEach(entry => {
+      const previous = units[entry.index - 1];
+      if (!entry.dangling || !previous || chosen.has(previous.position)) return;
+      if (previous.section !== entry.section) return;
+      chosen.add(previous.position);
+      // A map-reduce summary scores only the chunk summaries, so the
+      // preceding sentence may not have been scored at all
+      const scoredPrevious = scored.find(item => item.index === previous.position);
+      context.push(scoredPrevious ? { ...scoredPrevious, context: true } : {
+        text: previous.text,
+        source: previous.source,
+        ...(previous.section !== undefined ? { section: previous.section } : {}),
+        index: previous.position,
+        score: 0,
+        factors: {},
+        context: true
+      });
+    });
+    return selected.concat(context);
+  }
+
+  /**
+   * Swaps an entry's cleaned text for its source sentence, keeping a
+   * stripped connective stripped.
+   */
+  function showAsWritten(entry) {
+    if (!entry.source) return entry;
+    const text = entry.stripped && entry.source.startsWith(entry.stripped)
+      ? stripConnective(entry.source, entry.stripped)
+      : entry.source;
+    return { ...entry, text };
+  }
+
+  const ALGORITHMS = {
+    classic: scoreClassic,
+    graph: scoreGraph
+  };
+
+  /**
+   * Scores every sentence with the chosen algorithm, returning one
+   * `{ text, index, score, factors }` entry per sentence. With a
+   * `query`, scores are multiplied by `1 + queryWeight * relevance`
+   * and each entry also lists its `matchedTerms`. Sentences opening
+   * with a pronoun or connective carry `dangling` and, depending on
+   * the `dangling` mode, lose `danglingPenalty` of their score.
+   */
+  function scoreSentences(sentences, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const scorer = ALGORITHMS[settings.algorithm];
+    if (!scorer) {
+      throw new Error('Unknown summarization algorithm: ' + settings.algorithm);
+    }
+    const tokenized = sentences.map(sentence => tokenize(sentence, settings.locale));
+    const scored = scorer(sentences, tokenized, settings);
+
+    const terms = queryTerms(settings.query, settings.stopWords, settings.locale);
+    const boosted = !terms.length ? scored : scored.map(entry => {
+      const relevance = queryRelevance(tokenized[entry.index], terms);
+      return {
+        ...entry,
+        score: entry.score * (1 + settings.queryWeight * relevance.score),
+        factors: { ...entry.factors, query: relevance.score },
+        matchedTerms: relevance.matched
+      };
+    });
+
+    if (settings.dangling === 'off') return boosted;
+    return boosted.map(entry => {
+      const dangling = danglingStart(entry.text, settings.locale);
+      if (!dangling) return entry;
+      const penalized = settings.dangling === 'penalize' ||
+        (settings.dangling === 'strip' && dangling.type === 'pronoun');
+      return {
+        ...entry,
+        score: penalized ? entry.score * (1 - settings.danglingPenalty) : entry.score,
+        dangling
+      };
+    });
+  }
+
+  /**
+   * Word-overlap similarity in the spirit of Readability's
+   * `_textSimilarity`: 1 means the same words, 0 completely different.
+   * It measures how much of each text is not covered by the other and
+   * keeps the larger overlap, so the result is symmetric.
+   */
+  function textSimilarity(wordsA, wordsB) {
+    if (!wordsA.length || !wordsB.length) return 0;
+    const coverage = (source, target) => {
+      const known = new Set(source);
+      const unique = target.filter(word => !known.has(word));
+      return 1 - unique.join(' ').length / target.join(' ').length;
+    };
+    return Math.max(coverage(wordsA, wordsB), coverage(wordsB, wordsA));
+  }
+
+  /**
+   * Maximal Marginal Relevance selection. Each pick maximizes
+   * `(1 - diversity) * relevance - diversity * redundancy`, where
+   * relevance is the score scaled to [0, 1] and redundancy is the
+   * highest similarity to an already chosen sentence. A diversity of
+   * 0 is a plain top-N by score. With `maxWords`, picking continues
+   * while some sentence still fits in the remaining word budget.
+   * Returns the picks in selection order.
+   *
+   * @param {Object[]} scored Entries from scoreSentences().
+   * @param {Object} options `{ numSentences, maxWords, diversity, locale }`.
+   */
+  function selectSentences(scored, options = {}) {
+    const { numSentences, maxWords, diversity, locale } = { ...DEFAULT_OPTIONS, ...options };
+    const maxScore = Math.max(0, ...scored.map(item => item.score)) || 1;
+    const candidates = scored.map(item => ({ item, words: tokenize(item.text, locale) }));
+    const limit = maxWords ? Infinity : numSentences;
+    let budget = maxWords || Infinity;
+    const chosen = [];
+
+    while (chosen.length < limit && candidates.length) {
+      let bestIndex = -1;
+      let bestValue = -Infinity;
+      candidates.forEach((candidate, i) => {
+        if (candidate.words.length > budget) return;
+        const redundancy = chosen.reduce(
+          (max, picked) => Math.max(max, textSimilarity(candidate.words, picked.words)), 0);
+        const value = (1 - diversity) * (candidate.item.score / maxScore) - diversity * redundancy;
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = i;
+        }
+      });
+      if (bestIndex < 0) break;
+      const picked = candidates.splice(bestIndex, 1)[0];
+      budget -= picked.words.length;
+      chosen.push(picked);
+    }
+
+    return chosen.map(candidate => candidate.item);
+  }
+
+  /**
+   * Joins sentences with a space, except between sentences in scripts
+   * that don't separate them.
+   */
+  function joinSentences(sentences) {
+    return sentences.reduce((joined, sentence) => {
+      if (!joined) return sentence;
+      const separator = /[。！？]$/.test(joined) && SPACELESS_SCRIPT.test(sentence) ? '' : ' ';
+      return joined + separator + sentence;
+    }, '');
+  }
+
+  /**
+   * Splits `n` slots between groups in proportion to their weights,
+   * using the largest remainder method, without giving a group more
+   * slots than its `size`.
+   */
+  function apportion(n, groups) {
+    const quotas = groups.map(() => 0);
+    let remaining = Math.min(n, groups.reduce((sum, group) => sum + group.size, 0));
+
+    // Repeat while capped groups leave slots for the others
+    while (remaining > 0) {
+      const open = groups.map((_, i) => i).filter(i => quotas[i] < groups[i].size);
+      const totalWeight = open.reduce((sum, i) => sum + groups[i].weight, 0);
+      const shares = open.map(i => ({
+        i,
+        share: totalWeight ? remaining * groups[i].weight / totalWeight : remaining / open.length
+      }));
+
+      let assigned = 0;
+      shares.forEach(({ i, share }) => {
+        const whole = Math.min(Math.floor(share), groups[i].size - quotas[i]);
+        quotas[i] += whole;
+        assigned += whole;
+      });
+
+      shares.sort((a, b) => (b.share % 1) - (a.share % 1));
+      for (const { i } of shares) {
+        if (assigned >= remaining) break;
+        if (quotas[i] < groups[i].size) {
+          quotas[i]++;
+          assigned++;
+        }
+      }
+      remaining -= assigned;
+    }
+    return quotas;
+  }
+
+  /**
+   * Section-aware selection. Each section gets a share of the
+   * `numSentences` slots (or of the `maxWords` budget) proportional to
+   * its length times its importance (the mean of its best three
+   * scores), then sentences are picked within each section with
+   * selectSentences().
+   */
+  function selectBySection(scored, options = {}) {
+    const { numSentences, maxWords, locale } = { ...DEFAULT_OPTIONS, ...options };
+    const groups = [];
+    scored.forEach(entry => {
+      const last = groups[groups.length - 1];
+      if (last && last.section === entry.section) {
+        last.entries.push(entry);
+      } else {
+        groups.push({ section: entry.section, entries: [entry] });
+      }
+    });
+
+    const weighted = groups.map(group => {
+      const best = group.entries.map(entry => entry.score).sort((a, b) => b - a).slice(0, 3);
+      const importance = best.reduce((sum, score) => sum + score, 0) / best.length;
+      const size = maxWords
+        ? group.entries.reduce((sum, entry) => sum + countWords(entry.text, locale), 0)
+        : group.entries.length;
+      return { size, weight: group.entries.length * importance };
+    });
+    const quotas = apportion(maxWords || numSentences, weighted);
+
+    return groups.flatMap((group, i) => {
+      if (!quotas[i]) return [];
+      const quota = maxWords ? { maxWords: quotas[i] } : { numSentences: quotas[i] };
+      return selectSentences(group.entries, { ...options, ...quota });
+    });
+  }
+
+  /**
+   * Turns a length setting into selection options. Modes:
+   * - sentences: `value` sentences
+   * - words:     at most `value` words
+   * - percent:   at most `value`% of the original word count
+   * - auto:      a word budget growing with the square root of the
+   *              original length, within AUTO_LENGTH bounds
+   *
+   * @param {Object} length `{ mode, value }`.
+   * @param {number} totalWords Word count of the original text.
+   * @return {Object} `{ numSentences }` or `{ maxWords }`.
+   */
+  function resolveLength(length, totalWords) {
+    const value = Number(length.value) || 0;
+    switch (length.mode) {
+      case 'words':
+        return { maxWords: Math.max(1, Math.round(value)) };
+      case 'percent':
+        return { maxWords: Math.max(1, Math.round(totalWords * value / 100)) };
+      case 'auto': {
+        const target = Math.round(AUTO_LENGTH.factor * Math.sqrt(totalWords));
+        return { maxWords: Math.min(AUTO_LENGTH.max, Math.max(AUTO_LENGTH.min, target)) };
+      }
+      case 'sentences':
+        return { numSentences: Math.max(1, Math.round(value)) || DEFAULT_OPTIONS.numSentences };
+      default:
+        throw new Error('Unknown summary length mode: ' + length.mode);
+    }
+  }
+
+  /**
+   * Prepares the input shared by summarize() and summarizeHierarchical():
+   * segments the text, or each of `sections`, once; counts its words
+   * (the sentences' words, so with sections, headings don't count);
+   * and resolves the language, stopwords and length settings. Returns
+   * `{ settings, originalWords, units }`, where `units` are the valid
+   * `{ text, source, section, position }` sentences to score and
+   * `position` is a sentence's place among them.
+   */
+  function prepareInput(text, options, sections) {
+    const locale = options.locale || Stopwords.detectLanguage(text);
+    const segment = raw => segmentSentences(raw || '', { locale });
+    const sentences = sections
+      ? sections.flatMap(section => segment(section.text)
+        .map(sentence => ({ ...sentence, section: section.heading || '' })))
+      : segment(text);
+
+    const originalWords = sentences.reduce((sum, sentence) => sum + tokenize(sentence.source, locale).length, 0);
+    const settings = {
+      ...options,
+      ...(options.length ? { maxWords: 0, ...resolveLength(options.length, originalWords) } : {}),
+      locale,
+      stopWords: options.stopWords || Stopwords.forLanguage(locale)
+    };
+    const units = sentences
+      .filter(sentence => isValidSentence(sentence.text, locale))
+      .map((unit, position) => ({ ...unit, position }));
+    return { settings, originalWords, units };
+  }
+
+  /**
+   * Scores prepared units, carrying their source, section and chunk
+   * over to the scored entries, whose `index` becomes the units'
+   * `position` in the source.
+   */
+  function scoreUnits(units, settings) {
+    return scoreSentences(units.map(unit => unit.text), settings).map(entry => {
+      const { source, section, chunk, position } = units[entry.index];
+      const extra = { source, index: position };
+      if (section !== undefined) extra.section = section;
+      if (chunk !== undefined) extra.chunk = chunk;
+      return { ...entry, ...extra };
+    });
+  }
+
+  /**
+   * Splits units into chunks at section changes and every `size`
+   * sentences, naming each after its section or its position.
+   */
+  function chunkUnits(units, size) {
+    const chunks = [];
+    units.forEach(unit => {
+      const heading = unit.section || '';
+      const last = chunks[chunks.length - 1];
+      if (last && last.section === heading && last.units.length < size) {
+        last.units.push(unit);
+      } else {
+        const part = last && last.section === heading ? last.part + 1 : 1;
+        chunks.push({ section: heading, part, units: [unit] });
+      }
+    });
+    return chunks.map((chunk, i) => ({
+      heading: chunk.section
+        ? (chunk.part > 1 ? `${chunk.section} (part ${chunk.part})` : chunk.section)
+        : `Part ${i + 1}`,
+      units: chunk.units
+    }));
+  }
+
+  /**
+   * Assembles the result object from the selected entries.
+   */
+  function buildResult(selected, scored, units, settings, originalWords) {
+    if (!selected.length && scored.length) {
+      // A word budget smaller than every sentence still yields the best one
+      selected = [scored.reduce((top, entry) => (entry.score > top.score ? entry : top))];
+    }
+    selected = resolveDangling(selected, scored, { ...DEFAULT_OPTIONS, ...settings }, units)
+      .sort((a, b) => a.index - b.index);
+    if (settings.faithful) selected = selected.map(showAsWritten);
+
+    const summaryText = joinSentences(selected.map(item => item.text));
+    const summaryWords = countWords(summaryText, settings.locale);
+
+    return {
+      text: summaryText,
+      sentences: selected,
+      keyphrases: extractKeyphrases(units.map(unit => unit.text), settings),
+      totalSentences: units.length,
+      summaryWords,
+      originalWords,
+      compression: originalWords ? summaryWords / originalWords : 0,
+      lang: settings.locale
+    };
+  }
+
+  /**
+   * Summarizes `text` by extracting its highest-scoring sentences.
+   *
+   * @param {string} text    The raw text to summarize.
+   * @param {Object} options
+   *   - numSentences {number} How many sentences to keep (default 5).
+   *   - maxWords {number} Word budget to fill instead of a sentence count.
+   *   - length {Object} `{ mode, value }` setting, see resolveLength();
+   *     it takes precedence over numSentences and maxWords.
+   *   - sections {Object[]} Optional `{ heading, text }` sections of the
+   *     same text. With two or more, sentences are shared out across
+   *     sections and labeled with their heading.
+   *   - locale {string} Language tag used for segmentation and to pick
+   *     the stopword pack; detected from the text when omitted.
+   *   - algorithm {string} 'classic' (weighted factors) or 'graph'
+   *     (TextRank centrality).
+   *   - stopWords {Set<string>} Words ignored when scoring; defaults to
+   *     the pack for `locale`.
+   *   - weights {Object} Weight per classic factor, see DEFAULT_WEIGHTS.
+   *   - graph {Object} Graph scorer settings, see GRAPH_DEFAULTS.
+   *   - diversity {number} 0..1 penalty for redundancy with sentences
+   *     already selected (default 0.3, 0 disables it).
+   *   - query {string} Question or keywords to focus the summary on.
+   *   - queryWeight {number} Boost for fully matching the query.
+   *   - numKeyphrases {number} How many keyphrases to extract (5..15).
+   *   - faithful {boolean} Show sentences as written in the source,
+   *     minus citation markers; scoring still uses the cleaned text.
+   *   - dangling {string} 'penalize', 'context', 'strip' or 'off', see
+   *     DEFAULT_OPTIONS.
+   * @return {Object} `{ text, sentences, keyphrases, totalSentences,
+   *   summaryWords, originalWords, compression, lang }` where
+   *   `compression` is summaryWords / originalWords, `keyphrases` comes
+   *   from extractKeyphrases() and
+   *   `sentences` holds the selected `{ text, source, index, score,
+   *   factors }` entries in their original order, `source` is the
+   *   sentence as written on the page and `index` refers to the
+   *   position among all valid sentences. With a query, entries also
+   *   carry `matchedTerms`; with sections, they carry `section`.
+   *   Entries added as context for a dangling sentence have `context`,
+   *   and entries whose connective was stripped have `stripped`.
+   */
+  function summarize(text, options = {}) {
+    const bySection = Array.isArray(options.sections) && options.sections.length > 1;
+    const { settings, originalWords, units } = prepareInput(text, options, bySection ? options.sections : null);
+
+    const scored = scoreUnits(units, settings);
+    const selected = bySection ? selectBySection(scored, settings) : selectSentences(scored, settings);
+
+    return buildResult(selected, scored, units, settings, originalWords);
+  }
+
+  /**
+   * Map-reduce summarization for very long documents. The valid
+   * sentences are split into chunks, one per section (or per
+   * `chunkSentences` sentences where there are no sections, or a
+   * section is longer than that); each chunk is summarized into
+   * `chunkSummarySentences` sentences, and those chunk summaries are
+   * then summarized again with the regular length options.
+   *
+   * @param {string} text    The raw text to summarize.
+   * @param {Object} options Everything summarize() accepts, plus
+   *   `chunkSentences` and `chunkSummarySentences`, see
+   *   HIERARCHY_DEFAULTS.
+   * @return {Object} The summarize() result for the top level, with
+   *   each sentence's `chunk` number, plus `chunks`: one
+   *   `{ heading, text, sentences, totalSentences }` per chunk, shown
+   *   as written when `faithful` is set, like the top level.
+   */
+  function summarizeHierarchical(text, options = {}) {
+    const { chunkSentences, chunkSummarySentences } = { ...HIERARCHY_DEFAULTS, ...options };
+    const hasSections = Array.isArray(options.sections) && options.sections.length > 1;
+    const { settings, originalWords, units } = prepareInput(text, options, hasSections ? options.sections : null);
+
+    // Map: summarize every chunk on its own
+    const selections = chunkUnits(units, chunkSentences).map(chunk => {
+      const scored = scoreUnits(chunk.units, settings);
+      const selected = selectSentences(scored, { ...settings, maxWords: 0, numSentences: chunkSummarySentences })
+        .sort((a, b) => a.index - b.index);
+      return { chunk, selected };
+    });
+    const chunks = selections.map(({ chunk, selected }) => {
+      const shown = settings.faithful ? selected.map(showAsWritten) : selected;
+      return {
+        heading: chunk.heading,
+        text: joinSentences(shown.map(item => item.text)),
+        sentences: shown,
+        totalSentences: chunk.units.length
+      };
+    });
+
+    // Reduce: summarize the chunk summaries, scoring their cleaned text
+    const candidates = selections.flatMap(({ selected }, c) => selected.map(sentence => ({
+      text: sentence.text,
+      source: sentence.source,
+      section: sentence.section,
+      chunk: c,
+      position: sentence.index
+    })));
+    const scored = scoreUnits(candidates, settings);
+    const selected = selectSentences(scored, settings);
+
+    return {
+      ...buildResult(selected, scored, units, settings, originalWords),
+      chunks
+    };
+  }
+
+  /**
+   * Convenience wrapper returning only the summary text.
+   */
+  function extractiveSummarize(text, numSentences = 5) {
+    return summarize(text, { numSentences }).text;
+  }
+
+  const Summarizer = {
+    STOP_WORDS,
+    DEFAULT_WEIGHTS,
+    GRAPH_DEFAULTS,
+    HIERARCHY_DEFAULTS,
+    DANGLING_STARTS,
+    ALGORITHMS,
+    stripNoise,
+    stripCitations,
+    cleanText,
+    segmentSentences,
+    splitSentences,
+    isValidSentence,
+    tokenize,
+    countWords,
+    isSignificantWord,
+    buildFrequencies,
+    frequencyScore,
+    phraseScore,
+    positionScore,
+    lengthScore,
+    diversityScore,
+    combineScores,
+    sentenceSimilarity,
+    graphCentrality,
+    termsMatch,
+    queryTerms,
+    queryRelevance,
+    danglingStart,
+    stripConnective,
+    candidatePhrases,
+    extractKeyphrases,
+    containsPhrase,
+    scoreSentences,
+    textSimilarity,
+    selectSentences,
+    apportion,
+    selectBySection,
+    resolveLength,
+    joinSentences,
+    summarize,
+    summarizeHierarchical,
+    extractiveSummarize
+  };
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = Summarizer;
+  } else {
+    global.Summarizer = Summarizer;
+  }
+})(typeof self !== 'undefined' ? self : this);
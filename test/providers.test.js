@@ -0,0 +1,173 @@
+/*******************************************************
+ * PROVIDERS.TEST.JS
+ *
+ * Tests the LLM provider of providers.js against a mock
+ * OpenAI-compatible `/chat/completions` server on a local
+ * port: chunking, the combine loop, the fallback to the
+ * extractive provider and cancellation.
+ * Run with `node --test test/` (Node 18 or later).
+ *******************************************************/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const SummaryProviders = require('../src/providers.js');
+
+const SENTENCES = [
+  'The city council approved a new budget on Monday after weeks of debate.',
+  'The budget increases funding for public transit by a significant margin.',
+  'Critics argued that the budget does not do enough for housing.',
+  'The mayor said the plan balances growth with fiscal responsibility.',
+  'Several council members praised the budget as a balanced compromise.',
+  'Housing advocates plan to protest outside city hall next month.'
+];
+const CONTENT = SENTENCES.join(' ');
+
+/**
+ * Starts a mock chat completions server. `answer(body, request)` returns
+ * the answer text, or `{ status }` for an error response; it may return
+ * a promise to delay the answer. Resolves to `{ endpoint, requests, close }`.
+ */
+function startMockServer(answer) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const body = JSON.parse(raw);
+      requests.push({ url: req.url, headers: req.headers, body });
+      const reply = await answer(body, requests.length);
+      if (res.destroyed) return;
+      if (reply && reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end('{}');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: reply } }] }));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+/**
+ * The page text a request was asked to summarize or combine.
+ */
+function promptText(body) {
+  return body.messages[1].content.split('\n\n').slice(1).join('\n\n');
+}
+
+test('chunkText keeps chunks within the token budget, between sentences', () => {
+  const chunks = SummaryProviders.chunkText(CONTENT, 30, 'en');
+  assert.ok(chunks.length > 1);
+  assert.strictEqual(chunks.join(' '), CONTENT);
+  chunks.forEach(chunk => assert.ok(SummaryProviders.estimateTokens(chunk, 'en') <= 30));
+});
+
+test('summarizes every chunk, then combines the chunk summaries', async () => {
+  const server = await startMockServer(body => {
+    const prompt = body.messages[1].content;
+    if (prompt.startsWith('These are summaries')) return 'Combined: ' + promptText(body).split('\n\n').length;
+    return 'Part summary.';
+  });
+  const progress = [];
+  try {
+    const result = await SummaryProviders.summarize('llm', { content: CONTENT, title: 'Budget', lang: 'en' }, {
+      numSentences: 2,
+      llm: { endpoint: server.endpoint + '/', model: 'mock-model', apiKey: 'secret', chunkTokens: 40 },
+      onProgress: step => progress.push(step)
+    });
+
+    const chunkRequests = server.requests.filter(r => !r.body.messages[1].content.startsWith('These are'));
+    assert.strictEqual(result.provider, 'llm');
+    assert.strictEqual(result.fallback, false);
+    assert.strictEqual(result.chunkCount, chunkRequests.length);
+    assert.ok(result.chunkCount > 1);
+    assert.match(result.text, /^Combined: \d+$/);
+    assert.strictEqual(result.originalWords, CONTENT.split(' ').length);
+    assert.deepStrictEqual(progress.map(step => step.done), chunkRequests.map((r, i) => i + 1));
+
+    const first = server.requests[0];
+    assert.strictEqual(first.url, '/v1/chat/completions');
+    assert.strictEqual(first.headers.authorization, 'Bearer secret');
+    assert.strictEqual(first.body.model, 'mock-model');
+    assert.strictEqual(first.body.messages[0].role, 'system');
+    assert.match(first.body.messages[1].content, /^Summarize this part of "Budget" in about 2 sentences\./);
+  } finally {
+    await server.close();
+  }
+});
+
+test('sends a short page in a single request, without combining', async () => {
+  const server = await startMockServer(() => 'The council approved a budget.');
+  try {
+    const result = await SummaryProviders.summarize('llm', { content: CONTENT, lang: 'en' }, {
+      llm: { endpoint: server.endpoint }
+    });
+    assert.strictEqual(server.requests.length, 1);
+    assert.strictEqual(result.chunkCount, 1);
+    assert.strictEqual(result.text, 'The council approved a budget.');
+    assert.strictEqual(result.sentences.length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('falls back to the extractive summary when the endpoint fails', async () => {
+  const server = await startMockServer(() => ({ status: 500 }));
+  try {
+    const result = await SummaryProviders.summarize('llm', { content: CONTENT, lang: 'en' }, {
+      numSentences: 2,
+      llm: { endpoint: server.endpoint }
+    });
+    assert.strictEqual(result.provider, 'extractive');
+    assert.strictEqual(result.fallback, true);
+    assert.match(result.error, /responded with 500/);
+    assert.strictEqual(result.sentences.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('falls back when the endpoint answers too slowly', async () => {
+  const server = await startMockServer(() => new Promise(resolve => setTimeout(() => resolve('Late.'), 500)));
+  try {
+    const result = await SummaryProviders.summarize('llm', { content: CONTENT, lang: 'en' }, {
+      llm: { endpoint: server.endpoint, timeoutMs: 50 }
+    });
+    assert.strictEqual(result.fallback, true);
+    assert.match(result.error, /timeout/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('cancelling stops the job instead of falling back', async () => {
+  const controller = new AbortController();
+  const server = await startMockServer(() => {
+    controller.abort();
+    return new Promise(resolve => setTimeout(() => resolve('Too late.'), 200));
+  });
+  try {
+    await assert.rejects(
+      SummaryProviders.summarize('llm', { content: CONTENT, lang: 'en' }, {
+        llm: { endpoint: server.endpoint, chunkTokens: 40 },
+        signal: controller.signal
+      }),
+      /Summary cancelled/);
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    await server.close();
+  }
+});
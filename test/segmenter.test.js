@@ -0,0 +1,117 @@
+/*******************************************************
+ * SEGMENTER.TEST.JS
+ *
+ * Tests the sentence splits of segmenter.js and its repairs
+ * of false boundaries: abbreviations, initials, acronyms,
+ * numbers, ellipses and quotes.
+ * Run with `node --test test/` (Node 18 or later).
+ *******************************************************/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SentenceSegmenter = require('../src/segmenter.js');
+
+/**
+ * Splits English text into sentences.
+ */
+function split(text) {
+  return SentenceSegmenter.split(text, { locale: 'en' });
+}
+
+test('keeps titles such as "Dr." inside the sentence', () => {
+  assert.deepStrictEqual(split('Dr. Smith arrived late. Mr. Jones left early.'), [
+    'Dr. Smith arrived late.',
+    'Mr. Jones left early.'
+  ]);
+});
+
+test('keeps "e.g." and "i.e." inside the sentence', () => {
+  assert.deepStrictEqual(split('Some fruits, e.g. apples, keep well. Others, i.e. berries, do not.'), [
+    'Some fruits, e.g. apples, keep well.',
+    'Others, i.e. berries, do not.'
+  ]);
+});
+
+test('keeps acronyms inside the sentence when it goes on', () => {
+  assert.deepStrictEqual(split('The U.S. economy grew. The U.S. Army arrived.'), [
+    'The U.S. economy grew.',
+    'The U.S. Army arrived.'
+  ]);
+});
+
+test('ends the sentence at an acronym followed by a new sentence', () => {
+  assert.deepStrictEqual(split('He was born in the U.S. The next day he left.'), [
+    'He was born in the U.S.',
+    'The next day he left.'
+  ]);
+  assert.deepStrictEqual(split('They lived in the U.S. Then they left.'), [
+    'They lived in the U.S.',
+    'Then they left.'
+  ]);
+});
+
+test('ends the text at an acronym', () => {
+  assert.deepStrictEqual(split('The company moved to the U.S.'), ['The company moved to the U.S.']);
+});
+
+test('keeps initials of a name together', () => {
+  assert.deepStrictEqual(split('The book is by J. R. R. Tolkien. President John F. Kennedy spoke.'), [
+    'The book is by J. R. R. Tolkien.',
+    'President John F. Kennedy spoke.'
+  ]);
+});
+
+test('ends the sentence at a lone capital followed by a sentence opener', () => {
+  assert.deepStrictEqual(split('He fought in World War I. Then he moved to Paris.'), [
+    'He fought in World War I.',
+    'Then he moved to Paris.'
+  ]);
+});
+
+test('does not split decimal numbers or numbering', () => {
+  assert.deepStrictEqual(split('Growth reached 3.5 percent. See No. 5 for details.'), [
+    'Growth reached 3.5 percent.',
+    'See No. 5 for details.'
+  ]);
+});
+
+test('keeps an ellipsis followed by lowercase in the sentence', () => {
+  assert.deepStrictEqual(split('He was late... and tired. She waited.'), [
+    'He was late... and tired.',
+    'She waited.'
+  ]);
+});
+
+test('splits after an ellipsis followed by a new sentence', () => {
+  assert.deepStrictEqual(split('He waited... Nobody came.'), ['He waited...', 'Nobody came.']);
+});
+
+test('keeps closing quotes with the sentence they end', () => {
+  assert.deepStrictEqual(split('She said, "We are done." Then she left.'), [
+    'She said, "We are done."',
+    'Then she left.'
+  ]);
+  assert.deepStrictEqual(split('He asked, “Why?” Nobody answered.'), [
+    'He asked, “Why?”',
+    'Nobody answered.'
+  ]);
+});
+
+test('splits before names that start in lowercase', () => {
+  assert.deepStrictEqual(split('Apple launched it in 2007. iPhone sales grew quickly.'), [
+    'Apple launched it in 2007.',
+    'iPhone sales grew quickly.'
+  ]);
+});
+
+test('splits at CJK full stops without spaces', () => {
+  assert.deepStrictEqual(SentenceSegmenter.split('東京は首都です。人口は多いです。', { locale: 'ja' }), [
+    '東京は首都です。',
+    '人口は多いです。'
+  ]);
+});
+
+test('returns no sentences for empty text', () => {
+  assert.deepStrictEqual(split(''), []);
+  assert.deepStrictEqual(split('   '), []);
+});
@@ -0,0 +1,195 @@
+/*******************************************************
+ * SUMMARIZER.TEST.JS
+ *
+ * Tests the pure API of summarizer.js: each scoring factor
+ * on its own, length settings, slot sharing across
+ * sections, redundancy-aware selection, keyphrases,
+ * dangling openings and the structure of a summarize()
+ * result, plus the language detection of stopwords.js
+ * that picks the stopword pack.
+ * Run with `node --test test/` (Node 18 or later).
+ *******************************************************/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Summarizer = require('../src/summarizer.js');
+const Stopwords = require('../src/stopwords.js');
+
+const SENTENCES = [
+  'The city council approved a new budget on Monday after weeks of debate.',
+  'The budget increases funding for public transit by a significant margin.',
+  'Critics argued that the budget does not do enough for housing in the city.',
+  'The mayor said the plan balances growth with fiscal responsibility for everyone.',
+  'Several council members praised the budget as a balanced compromise today.',
+  'Housing advocates plan to protest outside city hall next month over rents.'
+];
+const TEXT = SENTENCES.join(' ');
+
+const STOP_WORDS = new Set(['the', 'a', 'of']);
+
+/**
+ * Asserts that two numbers are equal to within rounding error.
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('frequencyScore averages the frequency of content words', () => {
+  const wordFreq = { budget: 4, council: 2 };
+  assert.strictEqual(Summarizer.frequencyScore(['the', 'budget', 'council'], wordFreq, STOP_WORDS), 3);
+  assert.strictEqual(Summarizer.frequencyScore(['budget', 'unknown'], wordFreq, STOP_WORDS), 2);
+  assert.strictEqual(Summarizer.frequencyScore(['the', 'of'], wordFreq, STOP_WORDS), 0);
+  assert.strictEqual(Summarizer.frequencyScore([], wordFreq, STOP_WORDS), 0);
+});
+
+test('positionScore favors the opening and closing fifth', () => {
+  assert.strictEqual(Summarizer.positionScore(0, 10), 1);
+  assertClose(Summarizer.positionScore(1, 10), 0.5);
+  assert.strictEqual(Summarizer.positionScore(5, 10), 0.2);
+  assertClose(Summarizer.positionScore(9, 10), 0.5);
+  assert.ok(Summarizer.positionScore(0, 10) > Summarizer.positionScore(9, 10));
+});
+
+test('lengthScore peaks at 20 words', () => {
+  const words = n => new Array(n).fill('word');
+  assert.strictEqual(Summarizer.lengthScore(words(20)), 1);
+  assertClose(Summarizer.lengthScore(words(10)), Math.exp(-0.5));
+  assertClose(Summarizer.lengthScore(words(30)), Math.exp(-0.5));
+  assert.ok(Summarizer.lengthScore(words(5)) < Summarizer.lengthScore(words(15)));
+});
+
+test('diversityScore is the share of unique content words', () => {
+  assert.strictEqual(Summarizer.diversityScore(['budget', 'vote', 'city'], STOP_WORDS), 1);
+  assert.strictEqual(Summarizer.diversityScore(['budget', 'budget', 'the', 'city'], STOP_WORDS), 0.5);
+  assert.strictEqual(Summarizer.diversityScore([], STOP_WORDS), 0);
+});
+
+test('combineScores weights each factor', () => {
+  const factors = { frequency: 1, phrase: 1, position: 1, length: 1, diversity: 1 };
+  assertClose(Summarizer.combineScores(factors), 1);
+  assert.strictEqual(Summarizer.combineScores({ frequency: 2, position: 1 }, { frequency: 0.5, position: 0.25 }), 1.25);
+  assert.strictEqual(Summarizer.combineScores({}, { frequency: 1 }), 0);
+});
+
+test('resolveLength turns each length mode into selection options', () => {
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'sentences', value: 3 }, 1000), { numSentences: 3 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'sentences', value: 0 }, 1000), { numSentences: 1 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'words', value: 120 }, 1000), { maxWords: 120 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'percent', value: 10 }, 1000), { maxWords: 100 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'auto' }, 10000), { maxWords: 400 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'auto' }, 10), { maxWords: 40 });
+  assert.deepStrictEqual(Summarizer.resolveLength({ mode: 'auto' }, 1600), { maxWords: 200 });
+  assert.throws(() => Summarizer.resolveLength({ mode: 'pages' }, 1000), /Unknown summary length mode/);
+});
+
+test('apportion shares slots by weight without exceeding group sizes', () => {
+  assert.deepStrictEqual(Summarizer.apportion(4, [{ size: 10, weight: 1 }, { size: 10, weight: 3 }]), [1, 3]);
+  // The capped group's extra slots go to the others
+  assert.deepStrictEqual(Summarizer.apportion(5, [
+    { size: 10, weight: 3 },
+    { size: 1, weight: 5 },
+    { size: 10, weight: 2 }
+  ]), [2, 1, 2]);
+  // Never more slots than there are sentences
+  assert.deepStrictEqual(Summarizer.apportion(10, [{ size: 2, weight: 1 }, { size: 3, weight: 1 }]), [2, 3]);
+  assert.deepStrictEqual(Summarizer.apportion(3, [{ size: 5, weight: 0 }, { size: 5, weight: 0 }]), [2, 1]);
+});
+
+test('selectSentences picks the top scores and skips near-duplicates', () => {
+  const scored = [
+    { text: 'The budget passed after a long debate in the council.', score: 1 },
+    { text: 'The budget passed after a long debate in the council today.', score: 0.95 },
+    { text: 'Transit riders will see more frequent buses next year.', score: 0.6 }
+  ];
+  const texts = picks => picks.map(entry => entry.text);
+
+  assert.deepStrictEqual(texts(Summarizer.selectSentences(scored, { numSentences: 2, diversity: 0 })),
+    [scored[0].text, scored[1].text]);
+  assert.deepStrictEqual(texts(Summarizer.selectSentences(scored, { numSentences: 2, diversity: 0.3 })),
+    [scored[0].text, scored[2].text]);
+});
+
+test('selectSentences fills a word budget', () => {
+  const scored = [
+    { text: 'One two three four five six.', score: 1 },
+    { text: 'One two three four five six seven eight nine ten.', score: 0.9 },
+    { text: 'Alpha beta gamma.', score: 0.5 }
+  ];
+  const picked = Summarizer.selectSentences(scored, { maxWords: 10, diversity: 0 });
+  assert.deepStrictEqual(picked.map(entry => entry.text), [scored[0].text, scored[2].text]);
+});
+
+test('summarize returns the selected sentences in order, with scores and indices', () => {
+  const result = Summarizer.summarize(TEXT, { numSentences: 2 });
+
+  assert.strictEqual(result.lang, 'en');
+  assert.strictEqual(result.totalSentences, SENTENCES.length);
+  assert.strictEqual(result.sentences.length, 2);
+  assert.strictEqual(result.text, result.sentences.map(entry => entry.text).join(' '));
+  assert.ok(result.originalWords > result.summaryWords && result.summaryWords > 0);
+  assertClose(result.compression, result.summaryWords / result.originalWords);
+
+  const indices = result.sentences.map(entry => entry.index);
+  assert.deepStrictEqual(indices, [...indices].sort((a, b) => a - b));
+  result.sentences.forEach(entry => {
+    assert.strictEqual(entry.source, SENTENCES[entry.index]);
+    assert.strictEqual(typeof entry.score, 'number');
+    assert.deepStrictEqual(Object.keys(entry.factors).sort(),
+      ['diversity', 'frequency', 'length', 'phrase', 'position']);
+  });
+
+  assert.ok(result.keyphrases.length > 0);
+  result.keyphrases.forEach(keyphrase => {
+    assert.strictEqual(typeof keyphrase.phrase, 'string');
+    assert.ok(keyphrase.weight > 0 && keyphrase.weight <= 1);
+  });
+});
+
+test('summarize handles empty text', () => {
+  const result = Summarizer.summarize('');
+  assert.strictEqual(result.text, '');
+  assert.deepStrictEqual(result.sentences, []);
+  assert.strictEqual(result.totalSentences, 0);
+  assert.strictEqual(result.compression, 0);
+});
+
+test('extractKeyphrases keeps function words out of Chinese keyphrases', () => {
+  const sentences = [
+    '北京是中国的首都，也是中国的政治和文化中心。',
+    '北京有三千多年的历史，是中国最大的古代城市之一。',
+    '长城是中国古代最伟大的建筑工程之一。'
+  ];
+  const keyphrases = Summarizer.extractKeyphrases(sentences, { locale: 'zh', stopWords: Stopwords.forLanguage('zh') });
+  const words = keyphrases.flatMap(keyphrase => keyphrase.phrase.split(' '));
+
+  assert.ok(keyphrases.some(keyphrase => keyphrase.phrase === '北京'));
+  ['的', '是', '也是', '之一'].forEach(word => assert.ok(!words.includes(word), word));
+});
+
+test('danglingStart flags openings that refer back', () => {
+  assert.deepStrictEqual(Summarizer.danglingStart('This was a mistake.', 'en'), { type: 'pronoun', match: 'This' });
+  assert.deepStrictEqual(Summarizer.danglingStart('It is a large city.', 'en'), { type: 'pronoun', match: 'It' });
+  assert.deepStrictEqual(Summarizer.danglingStart('These results show growth.', 'en'), { type: 'pronoun', match: 'These' });
+  assert.deepStrictEqual(Summarizer.danglingStart('However, the plan failed.', 'en'), { type: 'connective', match: 'However' });
+  assert.strictEqual(Summarizer.danglingStart('Thistles grow here.', 'en'), null);
+});
+
+test('danglingStart ignores pronouns that point nowhere', () => {
+  assert.strictEqual(Summarizer.danglingStart('This year the company grew fast.', 'en'), null);
+  assert.strictEqual(Summarizer.danglingStart('These days people read less.', 'en'), null);
+  assert.strictEqual(Summarizer.danglingStart('It is expected to rain tomorrow.', 'en'), null);
+  assert.strictEqual(Summarizer.danglingStart('It was clear that the plan failed.', 'en'), null);
+});
+
+test('detectLanguage recognizes scripts and Latin-script languages', () => {
+  assert.strictEqual(Stopwords.detectLanguage(TEXT), 'en');
+  assert.strictEqual(Stopwords.detectLanguage(
+    'El consejo de la ciudad aprobó el presupuesto y los críticos dicen que no es suficiente para la vivienda.'), 'es');
+  assert.strictEqual(Stopwords.detectLanguage(
+    'Le conseil de la ville a approuvé le budget et les critiques disent que ce n\'est pas assez pour le logement.'), 'fr');
+  assert.strictEqual(Stopwords.detectLanguage(
+    'Der Stadtrat hat den Haushalt genehmigt und die Kritiker sagen, dass es nicht genug für das Wohnen ist.'), 'de');
+  assert.strictEqual(Stopwords.detectLanguage('東京は日本の首都です。人口はとても多いです。'), 'ja');
+  assert.strictEqual(Stopwords.detectLanguage('Городской совет утвердил новый бюджет.'), 'ru');
+  assert.strictEqual(Stopwords.detectLanguage('12345 !!!'), undefined);
+});